@@ -1,37 +1,189 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Phone, PhoneOff, Video, VideoOff, Mic, MicOff, Copy, Users, AlertCircle, Wifi, WifiOff } from 'lucide-react';
+import { Phone, PhoneOff, Video, VideoOff, Mic, MicOff, Copy, Users, AlertCircle, Wifi, WifiOff, Lock, Link, Paperclip, Monitor, MonitorOff, Circle, Square, Download, X, Settings, Activity, LockOpen, UserX, ShieldCheck } from 'lucide-react';
 import io from 'socket.io-client';
+import VideoTile from './components/VideoTile';
+import ChatPanel from './components/ChatPanel';
+import FileTransferPanel from './components/FileTransferPanel';
+import { createFileTransferChannel, hashFile, FILE_CHANNEL_LABEL, FILE_CHANNEL_ID, MAX_FILE_SIZE } from './lib/fileTransfer';
+import { createCallRecorder, isRecordingSupported } from './lib/callRecorder';
+import DeviceSettings from './components/DeviceSettings';
+import LobbyRequests from './components/LobbyRequests';
+import IncomingCall from './components/IncomingCall';
+import PreJoin from './components/PreJoin';
+import {
+  loadDevicePreferences,
+  saveDevicePreferences,
+  buildMediaConstraints,
+  buildTrackConstraints,
+  listMediaDevices,
+  supportsAudioOutputSelection
+} from './lib/mediaDevices';
+import { getIceServers, buildRtcConfiguration, hasTurnServer, loadRelayOnly, saveRelayOnly } from './lib/iceServers';
+import { summarizeStats, scoreQuality, overallQuality, summarizeWindow, QUALITY_LABELS } from './lib/callStats';
+import { createAudioLevelMonitor, createSpeakerDetector } from './lib/audioLevels';
+import { isE2eeSupported, buildE2eeRtcConfiguration, preferE2eeCodecs, deriveE2eeKey, createE2eeSession } from './lib/e2ee';
+import {
+  parseRoute,
+  buildRoomPath,
+  buildRoomLink,
+  getHistoryView,
+  pushHistory,
+  replaceHistory,
+  HOME_PATH
+} from './lib/roomLinks';
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
+
+// Room size limits (must match the server's MAX_ROOM_CAPACITY)
+const MIN_ROOM_CAPACITY = 2;
+const MAX_ROOM_CAPACITY = 8;
+const DEFAULT_ROOM_CAPACITY = 4;
+
+// localStorage keys for the user's identity
+const DISPLAY_NAME_KEY = 'videocall:displayName';
+// Signed JWT issued by the host application (used when the server runs in JWT auth mode)
+const AUTH_TOKEN_KEY = 'videocall:authToken';
+
+// Keep in line with the server's CHAT_HISTORY_LIMIT
+const MAX_CHAT_MESSAGES = 100;
+
+// ICE restart backoff after a peer connection drops
+const ICE_RESTART_BASE_DELAY = 1000;
+const ICE_RESTART_MAX_DELAY = 30000;
+const MAX_ICE_RESTART_ATTEMPTS = 5;
+
+// How often to poll getStats(), and to upload a quality summary to the server
+const STATS_INTERVAL = 2000;
+const TELEMETRY_INTERVAL = 30000;
+
+// Key of our own microphone among the audio levels (peers are keyed by socket ID)
+const LOCAL_AUDIO_ID = 'local';
+// Warn about talking while muted once it has gone on this long (ms)
+const MUTED_SPEECH_WARNING_DELAY = 1500;
+// Levels are rounded to this step so the meters only re-render when they visibly change
+const AUDIO_LEVEL_STEP = 0.05;
+
+const roundLevels = (levels) => Object.fromEntries(Object.entries(levels).map(([id, level]) =>
+  [id, Math.round(level / AUDIO_LEVEL_STEP) * AUDIO_LEVEL_STEP]));
+
+const sameLevels = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(id => a[id] === b[id]);
+
+// Read the room ID out of an invite token ("<base64url payload>.<signature>")
+const getInviteRoomId = (token) => {
+  try {
+    const payload = token.trim().split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const { roomId } = JSON.parse(atob(payload));
+    return typeof roomId === 'string' ? roomId : null;
+  } catch {
+    return null;
+  }
+};
+
+// Collapse the per-peer connection states into one value for the header
+const summarizeConnectionState = (states) => {
+  const values = Object.values(states);
+  if (values.length === 0) return 'new';
+  if (values.some(state => state === 'connected')) return 'connected';
+  if (values.some(state => state === 'connecting' || state === 'new')) return 'connecting';
+  if (values.every(state => state === 'failed')) return 'failed';
+  return values[0];
+};
 
 const VideoCallApp = () => {
   const [socket, setSocket] = useState(null);
-  const [roomId, setRoomId] = useState('');
+  // A /room/:id deep link (optionally ?name=) opens that room's pre-join screen
+  const [initialRoute] = useState(parseRoute);
+  const [roomId, setRoomId] = useState(initialRoute.roomId || '');
+  const [roomCapacity, setRoomCapacity] = useState(DEFAULT_ROOM_CAPACITY);
   const [isConnected, setIsConnected] = useState(false);
   const [isInCall, setIsInCall] = useState(false);
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
   const [isAudioEnabled, setIsAudioEnabled] = useState(true);
-  const [remoteSocketId, setRemoteSocketId] = useState(null);
+  const [remotePeers, setRemotePeers] = useState([]);
   const [myStream, setMyStream] = useState(null);
-  const [remoteStream, setRemoteStream] = useState(null);
-  const [connectionState, setConnectionState] = useState('new');
+  const [remoteStreams, setRemoteStreams] = useState({});
+  const [peerStates, setPeerStates] = useState({});
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Join requested from the pre-join screen, waiting for the server's answer
+  const [isJoining, setIsJoining] = useState(false);
   const [roomJoined, setRoomJoined] = useState(false);
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [inviteOnly, setInviteOnly] = useState(false);
+  const [waitingRoomEnabled, setWaitingRoomEnabled] = useState(true);
+  const [lobbyWait, setLobbyWait] = useState(null);
+  const [lobbyRequests, setLobbyRequests] = useState([]);
+  const [muteRequest, setMuteRequest] = useState(null);
+  const [serverNotice, setServerNotice] = useState(null);
+  // Calls ringing for us ({ from, callId }) and peers we are ringing
+  const [incomingCalls, setIncomingCalls] = useState([]);
+  const [ringingPeers, setRingingPeers] = useState([]);
+  const [inviteToken, setInviteToken] = useState('');
+  const [authPrompt, setAuthPrompt] = useState(null);
+  const [inviteCopied, setInviteCopied] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [displayName, setDisplayName] = useState(() =>
+    initialRoute.displayName || localStorage.getItem(DISPLAY_NAME_KEY) || '');
+  const [participants, setParticipants] = useState({});
+  const [chatMessages, setChatMessages] = useState([]);
+  const [isChatOpen, setIsChatOpen] = useState(false);
+  const [unreadChatCount, setUnreadChatCount] = useState(0);
+  const [fileTransfers, setFileTransfers] = useState({});
+  const [screenStream, setScreenStream] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [devices, setDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+  const [devicePreferences, setDevicePreferences] = useState(loadDevicePreferences);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isPreJoinOpen, setIsPreJoinOpen] = useState(Boolean(initialRoute.roomId));
+  // Last getUserMedia() failure ({ name, message }), for the pre-join guidance
+  const [mediaError, setMediaError] = useState(null);
+  const [selfId, setSelfId] = useState(null);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const [relayOnly, setRelayOnly] = useState(loadRelayOnly);
+  const [callStats, setCallStats] = useState({});
+  const [showStats, setShowStats] = useState(false);
+  // Opt-in end-to-end encryption; the passphrase stays in the browser
+  const [e2eeEnabled, setE2eeEnabled] = useState(false);
+  const [e2eePassphrase, setE2eePassphrase] = useState('');
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [decryptFailures, setDecryptFailures] = useState({});
+  const [audioLevels, setAudioLevels] = useState({});
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+  const [isMutedSpeaking, setIsMutedSpeaking] = useState(false);
 
-  const localVideoRef = useRef(null);
-  const remoteVideoRef = useRef(null);
-  const peerConnectionRef = useRef(null);
+  const peerConnectionsRef = useRef(new Map());
+  // Perfect-negotiation bookkeeping per peer: { polite, makingOffer, ignoreOffer, ... }
+  const negotiationsRef = useRef(new Map());
+  const pendingCandidatesRef = useRef(new Map());
+  // Offers of ringing calls, kept until we accept or decline
+  const pendingOffersRef = useRef(new Map());
+  const fileChannelsRef = useRef(new Map());
+  const fileInputRef = useRef(null);
+  const myStreamRef = useRef(null);
+  const screenStreamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const devicePreferencesRef = useRef(devicePreferences);
   const socketRef = useRef(null);
+  // Resumable signaling session and our stable participant ID (survives socket reconnects)
+  const sessionRef = useRef(null);
+  const selfIdRef = useRef(null);
+  const roomJoinedRef = useRef(false);
+  const displayNameRef = useRef(displayName);
+  const isChatOpenRef = useRef(false);
+  const relayOnlyRef = useRef(relayOnly);
+  const audioMonitorRef = useRef(null);
+  // Only set once the key is in place; e2eeReadyRef settles at that point (see the E2EE effect)
+  const e2eeRef = useRef(null);
+  const e2eeReadyRef = useRef(null);
+  // Set when we step back in history ourselves, so the popstate it causes is not acted on
+  const skipPopStateRef = useRef(false);
+  const isAudioEnabledRef = useRef(isAudioEnabled);
+  const isVideoEnabledRef = useRef(isVideoEnabled);
 
-  // WebRTC configuration with multiple STUN servers
-  const configuration = {
-    iceServers: [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
-      { urls: 'stun:stun.stunprotocol.org:3478' }
-    ],
-    iceCandidatePoolSize: 10
-  };
+  const connectionState = summarizeConnectionState(peerStates);
 
   // Clear error after 5 seconds
   useEffect(() => {
@@ -43,13 +195,21 @@ const VideoCallApp = () => {
 
   // Initialize socket connection
   useEffect(() => {
-    const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
-    const newSocket = io(serverUrl, {
+    const newSocket = io(SERVER_URL, {
       transports: ['websocket', 'polling'],
       timeout: 20000,
-      forceNew: true
+      forceNew: true,
+      // Connected once the signaling handlers below are registered
+      autoConnect: false,
+      // Evaluated on every (re)connect so the latest identity is sent
+      auth: (cb) => cb({
+        token: localStorage.getItem(AUTH_TOKEN_KEY) || undefined,
+        displayName: displayNameRef.current || undefined,
+        sessionId: sessionRef.current?.sessionId,
+        resumeToken: sessionRef.current?.resumeToken
+      })
     });
-    
+
     setSocket(newSocket);
     socketRef.current = newSocket;
 
@@ -62,8 +222,15 @@ const VideoCallApp = () => {
 
     newSocket.on('disconnect', (reason) => {
       setIsConnected(false);
-      setError(`Disconnected: ${reason}`);
+      setIsJoining(false);
       console.log('Disconnected:', reason);
+
+      // socket.io reconnects on its own unless the server kicked us; media stays up meanwhile
+      if (roomJoinedRef.current && reason !== 'io server disconnect') {
+        setIsReconnecting(true);
+      } else {
+        setError(`Disconnected: ${reason}`);
+      }
     });
 
     newSocket.on('connect_error', (err) => {
@@ -72,112 +239,388 @@ const VideoCallApp = () => {
       console.error('Connection error:', err);
     });
 
-    // Room event handlers
-    newSocket.on('user:joined', ({ socketId, roomId: joinedRoomId }) => {
-      console.log('User joined:', socketId);
-      setRemoteSocketId(socketId);
+    // A join that did not go through: leave the pre-join screen and release its camera preview
+    const abandonJoin = () => {
+      setIsJoining(false);
+      setIsPreJoinOpen(false);
+      if (!roomJoinedRef.current && myStreamRef.current) {
+        myStreamRef.current.getTracks().forEach(track => track.stop());
+        myStreamRef.current = null;
+        setMyStream(null);
+      }
+    };
+
+    // Also how a full room or a throttled join is reported; the pre-join screen stays up to try again
+    newSocket.on('error', ({ message }) => {
+      setIsJoining(false);
+      setError(message);
     });
 
-    newSocket.on('user:left', ({ socketId }) => {
-      console.log('User left:', socketId);
-      setRemoteSocketId(null);
-      setRemoteStream(null);
-      cleanupCall();
+    newSocket.on('room:joined', ({ roomInfo: joinedRoomInfo, chatHistory = [], lobby = [] }) => {
+      setRoomInfo(joinedRoomInfo);
+      mergeParticipants(joinedRoomInfo);
+      setChatMessages(chatHistory);
+      setUnreadChatCount(isChatOpenRef.current ? 0 : chatHistory.length);
+      setRoomJoined(true);
+      setIsJoining(false);
+      setIsPreJoinOpen(false);
+      setAuthPrompt(null);
+      setLobbyWait(null);
+      setLobbyRequests(lobby);
     });
 
-    // Call event handlers
-    newSocket.on('incoming:call', handleIncomingCall);
-    newSocket.on('call:accepted', handleCallAccepted);
-    newSocket.on('call:ended', cleanupCall);
-    newSocket.on('ice:candidate', handleIceCandidate);
+    // Held in the lobby until the host lets us in
+    newSocket.on('room:waiting', ({ roomId: waitingRoomId, timeout }) => {
+      setLobbyWait({ roomId: waitingRoomId, timeout });
+      setAuthPrompt(null);
+      // The lobby screen takes over; the preview stays on for when we are let in
+      setIsJoining(false);
+      setIsPreJoinOpen(false);
+    });
+
+    // Turned away (locked, removed, lobby timeout) or we left the lobby
+    newSocket.on('room:denied', ({ reason, message }) => {
+      setLobbyWait(null);
+      abandonJoin();
+      if (reason !== 'left') {
+        setError(message);
+      }
+    });
+
+    // Host only: someone is waiting, or a request was dealt with
+    newSocket.on('lobby:request', (request) => {
+      setLobbyRequests(prev => [...prev.filter(r => r.participantId !== request.participantId), request]);
+    });
+
+    newSocket.on('lobby:resolved', ({ participantId }) => {
+      setLobbyRequests(prev => prev.filter(r => r.participantId !== participantId));
+    });
+
+    newSocket.on('room:host-changed', ({ hostId }) => {
+      setRoomInfo(prev => (prev ? { ...prev, hostId } : prev));
+    });
+
+    newSocket.on('room:locked', ({ locked }) => {
+      setRoomInfo(prev => (prev ? { ...prev, locked } : prev));
+    });
+
+    // The host asked us to mute; we decide whether to comply
+    newSocket.on('moderation:mute-request', ({ kind }) => {
+      setMuteRequest({ kind });
+    });
+
+    // Operator announcements, e.g. upcoming maintenance
+    newSocket.on('server:notice', (notice) => {
+      setServerNotice(notice);
+    });
+
+    // The room needs a passphrase or invite before we are let in
+    newSocket.on('room:auth-required', ({ reason, message }) => {
+      setRoomJoined(false);
+      abandonJoin();
+      setAuthPrompt({ reason, message });
+    });
+
+    newSocket.on('chat:message', (message) => {
+      setChatMessages(prev => [...prev, message].slice(-MAX_CHAT_MESSAGES));
+      if (!isChatOpenRef.current && message.from !== selfIdRef.current) {
+        setUnreadChatCount(prev => prev + 1);
+      }
+    });
+
+    // A peer started or stopped sharing their screen
+    newSocket.on('screen:share', ({ from, sharing }) => {
+      setParticipants(prev => ({ ...prev, [from]: { ...prev[from], isScreenSharing: sharing } }));
+    });
+
+    // A peer started or stopped recording the call
+    newSocket.on('recording:state', ({ from, recording: isPeerRecording }) => {
+      setParticipants(prev => ({ ...prev, [from]: { ...prev[from], isRecording: isPeerRecording } }));
+    });
+
+    // A peer's signaling connection dropped; they may still come back
+    newSocket.on('user:reconnecting', ({ socketId }) => {
+      setParticipants(prev => ({ ...prev, [socketId]: { ...prev[socketId], isReconnecting: true } }));
+    });
+
+    newSocket.on('user:reconnected', ({ socketId }) => {
+      setParticipants(prev => ({ ...prev, [socketId]: { ...prev[socketId], isReconnecting: false } }));
+    });
+
+    newSocket.on('invite:created', async ({ token }) => {
+      try {
+        await navigator.clipboard.writeText(token);
+        setInviteCopied(true);
+        setTimeout(() => setInviteCopied(false), 3000);
+      } catch (err) {
+        console.error('Failed to copy invite:', err);
+        setError('Failed to copy invite to clipboard');
+      }
+    });
 
     return () => {
-      cleanupResources();
       newSocket.close();
     };
   }, []);
 
+  // Remember display names and avatars for everyone listed in a room info payload
+  const mergeParticipants = (info) => {
+    if (!info?.users) return;
+    setParticipants(prev => {
+      const next = { ...prev };
+      info.users.forEach(({ socketId, profile }) => {
+        next[socketId] = {
+          displayName: profile.displayName,
+          avatarUrl: profile.avatarUrl,
+          isScreenSharing: Boolean(profile.isScreenSharing),
+          isRecording: Boolean(profile.isRecording)
+        };
+      });
+      return next;
+    });
+  };
+
+  const getParticipantName = (peerId) => participants[peerId]?.displayName || peerId.substring(0, 8);
+
+  // Track file transfer progress per peer
+  const updateFileTransfer = useCallback((peerId, transfer) => {
+    const key = `${peerId}:${transfer.id}`;
+    setFileTransfers(prev => ({ ...prev, [key]: { ...transfer, peerId, key } }));
+  }, []);
+
+  // Close a single peer connection and forget its media
+  const closePeerConnection = useCallback((peerId) => {
+    fileChannelsRef.current.get(peerId)?.close();
+    fileChannelsRef.current.delete(peerId);
+
+    clearTimeout(negotiationsRef.current.get(peerId)?.restartTimer);
+    negotiationsRef.current.delete(peerId);
+    pendingCandidatesRef.current.delete(peerId);
+
+    const pc = peerConnectionsRef.current.get(peerId);
+    if (pc) {
+      pc.close();
+      peerConnectionsRef.current.delete(peerId);
+    }
+
+    setRemoteStreams(prev => {
+      const { [peerId]: _removed, ...rest } = prev;
+      return rest;
+    });
+    setPeerStates(prev => {
+      const { [peerId]: _removed, ...rest } = prev;
+      return rest;
+    });
+
+    if (peerConnectionsRef.current.size === 0) {
+      setIsInCall(false);
+    }
+  }, []);
+
   // Cleanup function
   const cleanupResources = useCallback(() => {
-    if (myStream) {
-      myStream.getTracks().forEach(track => {
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      recorderRef.current = null;
+      setIsRecording(false);
+      socketRef.current?.emit('recording:state', { recording: false });
+    }
+
+    if (screenStreamRef.current) {
+      screenStreamRef.current.getTracks().forEach(track => {
+        track.onended = null;
         track.stop();
       });
-      setMyStream(null);
+      screenStreamRef.current = null;
+      setScreenStream(null);
     }
-    
-    if (peerConnectionRef.current) {
-      peerConnectionRef.current.close();
-      peerConnectionRef.current = null;
+
+    if (myStreamRef.current) {
+      myStreamRef.current.getTracks().forEach(track => {
+        track.stop();
+      });
+      myStreamRef.current = null;
+      setMyStream(null);
     }
-    
-    setRemoteStream(null);
+
+    fileChannelsRef.current.forEach(channel => channel.close());
+    fileChannelsRef.current.clear();
+
+    negotiationsRef.current.forEach(negotiation => clearTimeout(negotiation.restartTimer));
+    negotiationsRef.current.clear();
+    pendingCandidatesRef.current.clear();
+
+    peerConnectionsRef.current.forEach(pc => pc.close());
+    peerConnectionsRef.current.clear();
+
+    setRemoteStreams({});
+    setPeerStates({});
+    setRingingPeers([]);
     setIsInCall(false);
-    setConnectionState('new');
-  }, [myStream]);
+  }, []);
 
-  // Create peer connection with enhanced error handling
-  const createPeerConnection = useCallback(() => {
+  // Fresh STUN/TURN servers (and credentials) for a new or restarting peer connection
+  const loadRtcConfiguration = useCallback(async () => {
+    // With end-to-end encryption on, every connection waits for the key, so none is set up without transforms
+    await e2eeReadyRef.current?.promise;
+    const iceServers = await getIceServers(SERVER_URL, localStorage.getItem(AUTH_TOKEN_KEY));
+    if (relayOnlyRef.current && !hasTurnServer(iceServers)) {
+      setError('Relay-only mode needs a TURN server, which is not available');
+    }
+    return {
+      ...buildRtcConfiguration(iceServers, { relayOnly: relayOnlyRef.current }),
+      // Must stay the same for the life of a connection, ICE restarts included
+      ...(e2eeRef.current ? buildE2eeRtcConfiguration() : {})
+    };
+  }, []);
+
+  // Restart ICE with exponential backoff until the connection recovers or we give up
+  const scheduleIceRestart = useCallback((peerId) => {
+    const negotiation = negotiationsRef.current.get(peerId);
+    if (!negotiation || negotiation.restartTimer) return;
+
+    if (negotiation.restartAttempts >= MAX_ICE_RESTART_ATTEMPTS) {
+      setError('Connection to a participant failed. Please try again.');
+      closePeerConnection(peerId);
+      return;
+    }
+
+    const delay = Math.min(ICE_RESTART_BASE_DELAY * 2 ** negotiation.restartAttempts, ICE_RESTART_MAX_DELAY);
+    negotiation.restartTimer = setTimeout(() => {
+      negotiation.restartTimer = null;
+      const pc = peerConnectionsRef.current.get(peerId);
+      if (!pc || pc.connectionState === 'connected' || pc.connectionState === 'closed') return;
+
+      negotiation.restartAttempts += 1;
+      console.log(`Restarting ICE (${peerId}), attempt ${negotiation.restartAttempts}`);
+
+      // The TURN credentials may have expired since the connection was set up
+      loadRtcConfiguration()
+        .then(config => pc.setConfiguration(config))
+        .catch(err => console.error(`Failed to refresh ICE servers (${peerId}):`, err))
+        .finally(() => pc.restartIce());
+
+      // Check again after the next backoff interval
+      scheduleIceRestart(peerId);
+    }, delay);
+  }, [closePeerConnection, loadRtcConfiguration]);
+
+  // Create one peer connection per remote participant (full mesh)
+  const createPeerConnection = useCallback((peerId, rtcConfiguration) => {
     try {
-      const pc = new RTCPeerConnection(configuration);
+      // Replace any stale connection to the same peer
+      peerConnectionsRef.current.get(peerId)?.close();
+      clearTimeout(negotiationsRef.current.get(peerId)?.restartTimer);
+
+      fileChannelsRef.current.get(peerId)?.close();
+
+      const pc = new RTCPeerConnection(rtcConfiguration);
+      peerConnectionsRef.current.set(peerId, pc);
+
+      // Perfect negotiation: the peer with the lower socket ID is polite and yields on glare
+      const negotiation = {
+        polite: (selfIdRef.current || '') < peerId,
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        restartAttempts: 0,
+        restartTimer: null
+      };
+      negotiationsRef.current.set(peerId, negotiation);
+
+      // Any change that needs (re)negotiation produces a fresh offer
+      pc.onnegotiationneeded = async () => {
+        try {
+          negotiation.makingOffer = true;
+          await pc.setLocalDescription();
+          socketRef.current?.emit('outgoing:call', { to: peerId, offer: pc.localDescription });
+        } catch (err) {
+          console.error(`Negotiation failed (${peerId}):`, err);
+        } finally {
+          negotiation.makingOffer = false;
+        }
+      };
+
+      // Pre-negotiated data channel for file transfer (same id on both sides)
+      const fileChannel = pc.createDataChannel(FILE_CHANNEL_LABEL, { negotiated: true, id: FILE_CHANNEL_ID });
+      fileChannelsRef.current.set(peerId, createFileTransferChannel(fileChannel, {
+        onUpdate: (transfer) => updateFileTransfer(peerId, transfer)
+      }));
 
       // Connection state monitoring
       pc.onconnectionstatechange = () => {
-        setConnectionState(pc.connectionState);
-        console.log('Connection state:', pc.connectionState);
-        
-        if (pc.connectionState === 'failed') {
-          setError('Connection failed. Please try again.');
-          cleanupCall();
+        setPeerStates(prev => ({ ...prev, [peerId]: pc.connectionState }));
+        console.log(`Connection state (${peerId}):`, pc.connectionState);
+
+        if (pc.connectionState === 'connected') {
+          clearTimeout(negotiation.restartTimer);
+          negotiation.restartTimer = null;
+          negotiation.restartAttempts = 0;
+        } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+          scheduleIceRestart(peerId);
         }
       };
 
       // ICE candidate handling
       pc.onicecandidate = (event) => {
-        if (event.candidate && socketRef.current && remoteSocketId) {
+        if (event.candidate && socketRef.current) {
           socketRef.current.emit('ice:candidate', {
             candidate: event.candidate,
-            to: remoteSocketId
+            to: peerId
           });
         }
       };
 
       // Remote stream handling
       pc.ontrack = (event) => {
-        console.log('Received remote stream');
-        setRemoteStream(event.streams[0]);
+        console.log('Received remote stream from:', peerId);
+        e2eeRef.current?.attachReceiver(event.receiver, peerId);
+        setRemoteStreams(prev => ({ ...prev, [peerId]: event.streams[0] }));
       };
 
       // ICE connection state
       pc.oniceconnectionstatechange = () => {
-        console.log('ICE connection state:', pc.iceConnectionState);
+        console.log(`ICE connection state (${peerId}):`, pc.iceConnectionState);
       };
 
+      // Add local stream (the screen replaces the camera while sharing)
+      const stream = myStreamRef.current;
+      const screenTrack = screenStreamRef.current?.getVideoTracks()[0];
+      if (stream) {
+        stream.getTracks().forEach(track => {
+          const sender = pc.addTrack(track.kind === 'video' && screenTrack ? screenTrack : track, stream);
+          e2eeRef.current?.attachSender(sender);
+        });
+        if (e2eeRef.current) preferE2eeCodecs(pc);
+      }
+
+      setPeerStates(prev => ({ ...prev, [peerId]: pc.connectionState }));
       return pc;
     } catch (err) {
       console.error('Failed to create peer connection:', err);
       setError('Failed to create peer connection');
       return null;
     }
-  }, [remoteSocketId]);
+  }, [scheduleIceRestart, updateFileTransfer]);
 
   // Get user media with better error handling
-  const getUserMedia = useCallback(async (constraints = { video: true, audio: true }) => {
+  const getUserMedia = useCallback(async (constraints = buildMediaConstraints(devicePreferencesRef.current)) => {
     try {
       setIsLoading(true);
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      // New tracks keep the camera and mic choices ("join muted" included) rather than going live
+      stream.getVideoTracks().forEach(track => { track.enabled = isVideoEnabledRef.current; });
+      stream.getAudioTracks().forEach(track => { track.enabled = isAudioEnabledRef.current; });
+      myStreamRef.current = stream;
       setMyStream(stream);
-      
-      if (localVideoRef.current) {
-        localVideoRef.current.srcObject = stream;
-      }
-      
+      setMediaError(null);
       setError('');
       return stream;
     } catch (err) {
       console.error('Error accessing media devices:', err);
+      setMediaError({ name: err.name, message: err.message });
       let errorMessage = 'Failed to access camera/microphone. ';
-      
+
       if (err.name === 'NotAllowedError') {
         errorMessage += 'Please allow camera and microphone permissions.';
       } else if (err.name === 'NotFoundError') {
@@ -185,7 +628,7 @@ const VideoCallApp = () => {
       } else {
         errorMessage += err.message;
       }
-      
+
       setError(errorMessage);
       return null;
     } finally {
@@ -193,13 +636,63 @@ const VideoCallApp = () => {
     }
   }, []);
 
-  // Join room with validation
-  const joinRoom = async () => {
+  // Persist the display name and keep the handshake auth in sync
+  const handleDisplayNameChange = (value) => {
+    setDisplayName(value);
+    displayNameRef.current = value;
+    localStorage.setItem(DISPLAY_NAME_KEY, value);
+  };
+
+  // Validate the room, then check camera and mic on the pre-join screen before actually joining
+  const openPreJoin = async () => {
     if (!roomId.trim()) {
       setError('Please enter a room ID');
       return;
     }
-    
+
+    if (!isConnected) {
+      setError('Not connected to server');
+      return;
+    }
+
+    if (e2eeEnabled && !e2eePassphrase) {
+      setError('Enter the encryption passphrase, or turn off end-to-end encryption');
+      return;
+    }
+
+    const path = buildRoomPath(roomId.trim());
+    if (window.location.pathname !== path) {
+      pushHistory(path, 'room');
+    }
+    setIsPreJoinOpen(true);
+    if (!myStreamRef.current) {
+      await getUserMedia();
+    }
+  };
+
+  // Leaving the pre-join screen releases the preview, unless the room is already using it
+  const closePreJoin = () => {
+    setIsPreJoinOpen(false);
+    if (!roomJoined && myStreamRef.current) {
+      myStreamRef.current.getTracks().forEach(track => track.stop());
+      myStreamRef.current = null;
+      setMyStream(null);
+    }
+  };
+
+  // Leave the room but stay connected
+  const leaveRoom = () => {
+    socketRef.current?.emit('room:leave');
+    cleanupResources();
+    setRoomJoined(false);
+    setRoomInfo(null);
+    setRemotePeers([]);
+    setLobbyRequests([]);
+    setMuteRequest(null);
+  };
+
+  // Join room with the camera and mic chosen on the pre-join screen
+  const joinRoom = async () => {
     if (!isConnected) {
       setError('Not connected to server');
       return;
@@ -207,127 +700,792 @@ const VideoCallApp = () => {
 
     try {
       setIsLoading(true);
-      const stream = await getUserMedia();
+      const stream = myStreamRef.current || await getUserMedia();
       if (!stream) return;
 
-      socketRef.current.emit('room:join', { roomId: roomId.trim() });
-      setRoomJoined(true);
+      // Dev auth takes the name from the client; JWT identities are fixed by the token
+      if (!localStorage.getItem(AUTH_TOKEN_KEY) && displayName.trim()) {
+        socketRef.current.emit('profile:update', { displayName: displayName.trim() });
+      }
+
+      // From here on calls wait until the room's encryption key is ready
+      e2eeReadyRef.current = e2eeEnabled && e2eePassphrase ? Promise.withResolvers() : null;
+      e2eeReadyRef.current?.promise.catch(() => {});
+
+      socketRef.current.emit('room:join', {
+        roomId: roomId.trim(),
+        capacity: roomCapacity,
+        passphrase: passphrase || undefined,
+        inviteToken: inviteToken.trim() || undefined,
+        inviteOnly,
+        waitingRoom: waitingRoomEnabled
+      });
+      // The pre-join screen stays up until the server lets us in (room:joined) or not
+      setIsJoining(true);
       setError('');
     } catch (err) {
+      console.error('Error joining room:', err);
       setError('Failed to join room');
     } finally {
       setIsLoading(false);
     }
   };
 
-  // Handle incoming call
-  const handleIncomingCall = useCallback(async ({ from, offer }) => {
-    try {
-      console.log('Incoming call from:', from);
-      const stream = myStream || await getUserMedia();
-      if (!stream) return;
+  // Keep the room membership visible to socket handlers
+  useEffect(() => {
+    roomJoinedRef.current = roomJoined;
+  }, [roomJoined]);
 
-      const pc = createPeerConnection();
-      if (!pc) return;
-      
-      peerConnectionRef.current = pc;
+  // A fresh signaling session; if we were in a room, the old one could not be resumed
+  const handleSessionCreated = useCallback(({ sessionId, resumeToken, participantId }) => {
+    const wasInRoom = Boolean(sessionRef.current) && roomJoinedRef.current;
+    sessionRef.current = { sessionId, resumeToken };
+    selfIdRef.current = participantId;
+    setSelfId(participantId);
+    setIsReconnecting(false);
+    // A brand-new session cannot still be waiting in a lobby
+    setLobbyWait(null);
 
-      // Add local stream
-      stream.getTracks().forEach(track => {
-        pc.addTrack(track, stream);
-      });
+    if (wasInRoom) {
+      cleanupResources();
+      setRoomJoined(false);
+      setRoomInfo(null);
+      setRemotePeers([]);
+      setLobbyRequests([]);
+      setError('Your session expired. Please join the room again.');
+    }
+  }, [cleanupResources]);
+
+  // Reconnected within the grace period: room membership and peer connections carry on
+  const handleSessionResumed = useCallback(({ participantId, roomInfo: resumedRoomInfo, chatHistory = [], lobby = [] }) => {
+    console.log('Session resumed as:', participantId);
+    selfIdRef.current = participantId;
+    setSelfId(participantId);
+    setIsReconnecting(false);
+
+    if (resumedRoomInfo) {
+      setRoomInfo(resumedRoomInfo);
+      mergeParticipants(resumedRoomInfo);
+      setChatMessages(chatHistory);
+      setLobbyRequests(lobby);
+    }
+  }, []);
+
+  // The host removed us or an operator closed the room: drop the call and go back to the lobby
+  const handleRemovedFromRoom = useCallback(({ message }) => {
+    cleanupResources();
+    setRoomJoined(false);
+    setRoomInfo(null);
+    setRemotePeers([]);
+    setLobbyRequests([]);
+    setMuteRequest(null);
+    setError(message);
+  }, [cleanupResources]);
 
-      await pc.setRemoteDescription(offer);
-      const answer = await pc.createAnswer();
-      await pc.setLocalDescription(answer);
+  // Handle users joining the room
+  const handleUserJoined = useCallback(({ socketId, user, peers = [], roomInfo: joinedRoomInfo }) => {
+    console.log('User joined:', user?.displayName || socketId);
+    mergeParticipants(joinedRoomInfo);
+    if (user) {
+      setParticipants(prev => ({ ...prev, [socketId]: { ...prev[socketId], displayName: user.displayName, avatarUrl: user.avatarUrl } }));
+    }
+    setRemotePeers(prev => Array.from(new Set([...prev, ...peers, socketId])));
+  }, []);
+
+  // A ringing call went away: the caller hung up or left, or nobody answered in time
+  const dropIncomingCall = useCallback((from) => {
+    pendingOffersRef.current.delete(from);
+    setIncomingCalls(prev => prev.filter(call => call.from !== from));
+  }, []);
+
+  // Handle users leaving the room
+  const handleUserLeft = useCallback(({ socketId }) => {
+    console.log('User left:', socketId);
+    setRemotePeers(prev => prev.filter(id => id !== socketId));
+    dropIncomingCall(socketId);
+    setRingingPeers(prev => prev.filter(id => id !== socketId));
+    closePeerConnection(socketId);
+  }, [closePeerConnection, dropIncomingCall]);
+
+  // Apply candidates that arrived before the remote description
+  const flushPendingCandidates = async (peerId, pc) => {
+    const pending = pendingCandidatesRef.current.get(peerId) || [];
+    pendingCandidatesRef.current.delete(peerId);
+    for (const candidate of pending) {
+      await pc.addIceCandidate(candidate).catch(err => console.error('Error adding ICE candidate:', err));
+    }
+  };
+
+  // Perfect negotiation: apply an offer or answer, resolving glare by politeness
+  const handleRemoteDescription = useCallback(async (peerId, description) => {
+    const pc = peerConnectionsRef.current.get(peerId);
+    const negotiation = negotiationsRef.current.get(peerId);
+    if (!pc || !negotiation) return;
+
+    const readyForOffer = !negotiation.makingOffer &&
+      (pc.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+
+    negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+    if (negotiation.ignoreOffer) {
+      console.log(`Ignoring colliding offer (${peerId})`);
+      return;
+    }
+
+    negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+    await pc.setRemoteDescription(description); // the polite peer rolls back implicitly
+    negotiation.isSettingRemoteAnswerPending = false;
+    await flushPendingCandidates(peerId, pc);
+
+    if (description.type === 'offer') {
+      await pc.setLocalDescription();
+      socketRef.current?.emit('call:accepted', { to: peerId, answer: pc.localDescription });
+    }
+  }, []);
 
-      socketRef.current.emit('call:accepted', { to: from, answer });
+  // Connect to the caller (unless we already are) and answer their offer
+  const answerCall = useCallback(async (from, offer) => {
+    if (!peerConnectionsRef.current.has(from)) {
+      const stream = myStreamRef.current || await getUserMedia();
+      if (!stream) return;
+
+      const rtcConfiguration = await loadRtcConfiguration();
+      if (!peerConnectionsRef.current.has(from) && !createPeerConnection(from, rtcConfiguration)) return;
       setIsInCall(true);
-      setRemoteSocketId(from);
+      setRemotePeers(prev => (prev.includes(from) ? prev : [...prev, from]));
+    }
+
+    await handleRemoteDescription(from, offer);
+  }, [createPeerConnection, getUserMedia, handleRemoteDescription, loadRtcConfiguration]);
+
+  // Handle incoming call (first offer or renegotiation)
+  const handleIncomingCall = useCallback(async ({ from, caller, offer, callId, ringing }) => {
+    try {
+      console.log('Incoming call from:', caller?.displayName || from);
+      if (caller) {
+        setParticipants(prev => ({ ...prev, [from]: { ...prev[from], displayName: caller.displayName, avatarUrl: caller.avatarUrl } }));
+      }
+
+      // A new call always asks first, even mid-call. Offers that do not ring (renegotiation, or a mesh
+      // connection the server set up between people already in the call) and calls crossing one of
+      // our own to the same person are answered straight away.
+      if (ringing && !peerConnectionsRef.current.has(from)) {
+        pendingOffersRef.current.set(from, offer);
+        setIncomingCalls(prev => (prev.some(call => call.from === from) ? prev : [...prev, { from, callId }]));
+        return;
+      }
+
+      await answerCall(from, offer);
     } catch (err) {
       console.error('Error handling incoming call:', err);
       setError('Failed to accept call');
     }
-  }, [myStream, createPeerConnection, getUserMedia]);
+  }, [answerCall]);
+
+  // Someone joined our group call and the server picked us to send the offer (the other side just answers)
+  const handleCallConnect = useCallback(async ({ to }) => {
+    if (peerConnectionsRef.current.size === 0 || peerConnectionsRef.current.has(to)) return;
+
+    try {
+      // Adding our tracks fires negotiationneeded, which sends the offer
+      const rtcConfiguration = await loadRtcConfiguration();
+      if (peerConnectionsRef.current.size === 0 || peerConnectionsRef.current.has(to)) return;
+      createPeerConnection(to, rtcConfiguration);
+      setRemotePeers(prev => (prev.includes(to) ? prev : [...prev, to]));
+    } catch (err) {
+      console.error('Error connecting to participant:', err);
+      setError('Failed to connect to a participant');
+    }
+  }, [createPeerConnection, loadRtcConfiguration]);
+
+  // The server is ringing a participant we called
+  const handleCallRinging = useCallback(({ to }) => {
+    setRingingPeers(prev => (prev.includes(to) ? prev : [...prev, to]));
+  }, []);
+
+  // The callee turned us down or never picked up: drop the connection we offered
+  const handleCallDeclined = useCallback(({ from, user, reason }) => {
+    setRingingPeers(prev => prev.filter(id => id !== from));
+    closePeerConnection(from);
+    const name = user?.displayName || 'The participant';
+    setError(reason === 'no_answer' ? `${name} did not answer` : `${name} declined the call`);
+  }, [closePeerConnection]);
+
+  const handleCallMissed = useCallback(({ from, caller }) => {
+    dropIncomingCall(from);
+    pendingCandidatesRef.current.delete(from);
+    setError(`Missed call from ${caller?.displayName || 'a participant'}`);
+  }, [dropIncomingCall]);
 
   // Handle call accepted
-  const handleCallAccepted = useCallback(async ({ answer }) => {
+  const handleCallAccepted = useCallback(async ({ from, answer }) => {
     try {
-      if (peerConnectionRef.current) {
-        await peerConnectionRef.current.setRemoteDescription(answer);
-      }
+      setRingingPeers(prev => (prev.includes(from) ? prev.filter(id => id !== from) : prev));
+      await handleRemoteDescription(from, answer);
     } catch (err) {
       console.error('Error handling call accepted:', err);
       setError('Failed to establish connection');
     }
+  }, [handleRemoteDescription]);
+
+  // Handle ICE candidate
+  const handleIceCandidate = useCallback(async ({ from, candidate }) => {
+    const pc = peerConnectionsRef.current.get(from);
+    if (!pc || !pc.remoteDescription) {
+      const pending = pendingCandidatesRef.current.get(from) || [];
+      pendingCandidatesRef.current.set(from, [...pending, candidate]);
+      return;
+    }
+
+    try {
+      await pc.addIceCandidate(candidate);
+    } catch (err) {
+      // Candidates for an offer we ignored during glare are expected to fail
+      if (!negotiationsRef.current.get(from)?.ignoreOffer) {
+        console.error('Error adding ICE candidate:', err);
+      }
+    }
+  }, []);
+
+  // Handle a remote participant hanging up (or cancelling before we answered)
+  const handleCallEnded = useCallback(({ from }) => {
+    dropIncomingCall(from);
+    setRingingPeers(prev => prev.filter(id => id !== from));
+    closePeerConnection(from);
+  }, [closePeerConnection, dropIncomingCall]);
+
+  // Register signaling handlers for the current socket
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('session:created', handleSessionCreated);
+    socket.on('session:resumed', handleSessionResumed);
+    socket.on('room:removed', handleRemovedFromRoom);
+    socket.on('room:closed', handleRemovedFromRoom);
+    socket.on('user:joined', handleUserJoined);
+    socket.on('user:left', handleUserLeft);
+    socket.on('incoming:call', handleIncomingCall);
+    socket.on('call:connect', handleCallConnect);
+    socket.on('call:ringing', handleCallRinging);
+    socket.on('call:declined', handleCallDeclined);
+    socket.on('call:missed', handleCallMissed);
+    socket.on('call:accepted', handleCallAccepted);
+    socket.on('call:ended', handleCallEnded);
+    socket.on('ice:candidate', handleIceCandidate);
+
+    if (!socket.active) {
+      socket.connect();
+    }
+
+    return () => {
+      socket.off('session:created', handleSessionCreated);
+      socket.off('session:resumed', handleSessionResumed);
+      socket.off('room:removed', handleRemovedFromRoom);
+      socket.off('room:closed', handleRemovedFromRoom);
+      socket.off('user:joined', handleUserJoined);
+      socket.off('user:left', handleUserLeft);
+      socket.off('incoming:call', handleIncomingCall);
+      socket.off('call:connect', handleCallConnect);
+      socket.off('call:ringing', handleCallRinging);
+      socket.off('call:declined', handleCallDeclined);
+      socket.off('call:missed', handleCallMissed);
+      socket.off('call:accepted', handleCallAccepted);
+      socket.off('call:ended', handleCallEnded);
+      socket.off('ice:candidate', handleIceCandidate);
+    };
+  }, [socket, handleSessionCreated, handleSessionResumed, handleRemovedFromRoom, handleUserJoined, handleUserLeft, handleIncomingCall, handleCallConnect, handleCallRinging, handleCallDeclined, handleCallMissed, handleCallAccepted, handleCallEnded, handleIceCandidate]);
+
+  // Poll call-quality stats while in a call, uploading a summary every TELEMETRY_INTERVAL
+  const telemetryRoomId = roomInfo?.roomId;
+  useEffect(() => {
+    if (!isInCall) return;
+
+    let previous = {};
+    let samples = {}; // peerId -> stats collected since the last upload
+    let lastUpload = Date.now();
+
+    const uploadTelemetry = () => {
+      const summaries = Object.entries(samples).map(([peerId, peerSamples]) => ({
+        peerId,
+        ...summarizeWindow(peerSamples)
+      }));
+      samples = {};
+      lastUpload = Date.now();
+      if (summaries.length === 0 || !telemetryRoomId || !selfIdRef.current) return;
+
+      const token = localStorage.getItem(AUTH_TOKEN_KEY);
+      fetch(`${SERVER_URL}/api/telemetry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ roomId: telemetryRoomId, participantId: selfIdRef.current, summaries }),
+        keepalive: true
+      }).catch(err => console.error('Failed to upload call telemetry:', err));
+    };
+
+    const poll = async () => {
+      const next = {};
+      await Promise.all(Array.from(peerConnectionsRef.current.entries()).map(async ([peerId, pc]) => {
+        try {
+          const summary = summarizeStats(await pc.getStats(), previous[peerId]);
+          next[peerId] = { ...summary, score: scoreQuality(summary) };
+          samples[peerId] = [...(samples[peerId] || []), next[peerId]];
+        } catch (err) {
+          console.error(`Failed to read stats (${peerId}):`, err);
+        }
+      }));
+      previous = next;
+      setCallStats(next);
+
+      if (Date.now() - lastUpload >= TELEMETRY_INTERVAL) {
+        uploadTelemetry();
+      }
+    };
+
+    const timer = setInterval(poll, STATS_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      uploadTelemetry();
+      setCallStats({});
+    };
+  }, [isInCall, telemetryRoomId]);
+
+  // Measure everyone's audio during a call: level meters, the active speaker and talking while muted
+  useEffect(() => {
+    if (!isInCall) return;
+
+    const detector = createSpeakerDetector();
+    const monitor = createAudioLevelMonitor({
+      onLevels: (levels) => {
+        const now = Date.now();
+        const isMuted = !isAudioEnabledRef.current;
+        const { speaking, activeSpeaker: nextSpeaker } = detector.update(levels, {
+          ignore: isMuted ? [LOCAL_AUDIO_ID] : [],
+          now
+        });
+        const rounded = roundLevels(levels);
+        setAudioLevels(prev => (sameLevels(prev, rounded) ? prev : rounded));
+        setActiveSpeaker(nextSpeaker);
+        setIsMutedSpeaking(isMuted && now - (speaking[LOCAL_AUDIO_ID] ?? now) >= MUTED_SPEECH_WARNING_DELAY);
+      }
+    });
+    audioMonitorRef.current = monitor;
+
+    return () => {
+      monitor.stop();
+      audioMonitorRef.current = null;
+      setAudioLevels({});
+      setActiveSpeaker(null);
+      setIsMutedSpeaking(false);
+    };
+  }, [isInCall]);
+
+  // Our own level is measured while muted too, to notice talking into a muted mic
+  useEffect(() => {
+    audioMonitorRef.current?.setStreams(
+      { [LOCAL_AUDIO_ID]: myStream, ...remoteStreams },
+      { ignoreMute: [LOCAL_AUDIO_ID] }
+    );
+  }, [isInCall, myStream, remoteStreams]);
+
+  useEffect(() => {
+    isAudioEnabledRef.current = isAudioEnabled;
+    isVideoEnabledRef.current = isVideoEnabled;
+  }, [isAudioEnabled, isVideoEnabled]);
+
+  // End-to-end encryption for the room we are in; the key depends on the room, so it is set up on joining
+  const e2eeRoomId = roomJoined && e2eeEnabled && e2eePassphrase ? roomInfo?.roomId : null;
+  useEffect(() => {
+    if (!e2eeRoomId) return;
+
+    let cancelled = false;
+    if (!e2eeReadyRef.current) {
+      e2eeReadyRef.current = Promise.withResolvers();
+      e2eeReadyRef.current.promise.catch(() => {});
+    }
+    const ready = e2eeReadyRef.current;
+    const session = createE2eeSession({
+      onDecryptStatus: (peerId, failing) => setDecryptFailures(prev => ({ ...prev, [peerId]: failing }))
+    });
+
+    deriveE2eeKey(e2eePassphrase, e2eeRoomId)
+      .then(({ key, safetyNumber: number }) => {
+        if (cancelled) return;
+        session.setKey(key);
+        e2eeRef.current = session;
+        ready.resolve();
+        setSafetyNumber(number);
+      })
+      .catch(err => {
+        console.error('Failed to derive the encryption key:', err);
+        setError('Failed to set up end-to-end encryption');
+        // Calls fail rather than go ahead unencrypted
+        ready.reject(err);
+      });
+
+    return () => {
+      cancelled = true;
+      // No-op once settled; otherwise anyone still waiting gives up
+      ready.reject(new Error('Left the room before the encryption key was ready'));
+      if (e2eeReadyRef.current === ready) e2eeReadyRef.current = null;
+      session.stop();
+      e2eeRef.current = null;
+      setSafetyNumber(null);
+      setDecryptFailures({});
+    };
+  }, [e2eeRoomId, e2eePassphrase]);
+
+  // Deep link: tidy the landing URL (dropping ?name=) and start the camera preview.
+  // Deferred so StrictMode's mount-unmount-mount does not ask for the camera twice.
+  useEffect(() => {
+    replaceHistory(initialRoute.roomId ? buildRoomPath(initialRoute.roomId) : HOME_PATH, getHistoryView(null), { initial: true });
+    if (!initialRoute.roomId) return;
+
+    const timer = setTimeout(() => getUserMedia(), 0);
+    return () => clearTimeout(timer);
+  }, [initialRoute, getUserMedia]);
+
+  // The call gets its own history entry on the room URL, so Back leaves the call but stays in the room
+  useEffect(() => {
+    const isCallEntry = getHistoryView() === 'call';
+    if (isInCall && !isCallEntry) {
+      pushHistory(window.location.pathname, 'call');
+    } else if (!isInCall && isCallEntry) {
+      skipPopStateRef.current = true;
+      window.history.back();
+    }
+  }, [isInCall]);
+
+  // Release media and peer connections on unmount
+  useEffect(() => cleanupResources, [cleanupResources]);
+
+  // Host: let someone in from the lobby, or turn them away
+  const admitFromLobby = (participantId) => {
+    socketRef.current?.emit('lobby:admit', { participantId });
+  };
+
+  const denyFromLobby = (participantId) => {
+    socketRef.current?.emit('lobby:deny', { participantId });
+  };
+
+  // Give up waiting for the host
+  const leaveLobby = () => {
+    socketRef.current?.emit('lobby:leave');
+    setLobbyWait(null);
+  };
+
+  // Relay-only applies to peer connections created from now on
+  const handleRelayOnlyChange = (value) => {
+    setRelayOnly(value);
+    relayOnlyRef.current = value;
+    saveRelayOnly(value);
+  };
+
+  // Make call to every participant in the room
+  const makeCall = async () => {
+    if (remotePeers.length === 0) {
+      setError('No user to call');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const stream = myStreamRef.current || await getUserMedia();
+      if (!stream) return;
+
+      // Adding our tracks fires negotiationneeded, which sends the offer
+      const rtcConfiguration = await loadRtcConfiguration();
+      remotePeers
+        .filter(peerId => !peerConnectionsRef.current.has(peerId))
+        .forEach(peerId => createPeerConnection(peerId, rtcConfiguration));
+      setIsInCall(true);
+    } catch (err) {
+      console.error('Error making call:', err);
+      setError('Failed to start call');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Pick up every call that is ringing
+  const acceptIncomingCalls = async () => {
+    const offers = Array.from(pendingOffersRef.current);
+    pendingOffersRef.current.clear();
+    setIncomingCalls([]);
+
+    try {
+      for (const [from, offer] of offers) {
+        await answerCall(from, offer);
+      }
+    } catch (err) {
+      console.error('Error accepting call:', err);
+      setError('Failed to accept call');
+    }
+  };
+
+  const declineIncomingCalls = () => {
+    pendingOffersRef.current.forEach((_offer, from) => {
+      socketRef.current?.emit('call:declined', { to: from });
+      pendingCandidatesRef.current.delete(from);
+    });
+    pendingOffersRef.current.clear();
+    setIncomingCalls([]);
+  };
+
+  // End call
+  const endCall = () => {
+    if (socketRef.current) {
+      peerConnectionsRef.current.forEach((_pc, peerId) => {
+        socketRef.current.emit('call:ended', { to: peerId });
+      });
+    }
+    cleanupResources();
+  };
+
+  // Send the chosen files to every connected participant, peer to peer
+  const sendFiles = (files) => {
+    const openChannels = Array.from(fileChannelsRef.current.values()).filter(channel => channel.isOpen());
+    if (openChannels.length === 0) {
+      setError('No connected participants to send files to');
+      return;
+    }
+
+    Array.from(files).forEach(file => {
+      // Read and hashed once for all peers; files over the limit are turned away by sendFile
+      const hash = file.size <= MAX_FILE_SIZE ? hashFile(file) : undefined;
+      openChannels.forEach(channel => {
+        channel.sendFile(file, { hash }).catch(err => setError(err.message));
+      });
+    });
+  };
+
+  const cancelFileTransfer = (transfer) => {
+    fileChannelsRef.current.get(transfer.peerId)?.cancel(transfer.id);
+  };
+
+  const dismissFileTransfer = (transfer) => {
+    if (transfer.url) {
+      URL.revokeObjectURL(transfer.url);
+    }
+    setFileTransfers(prev => {
+      const { [transfer.key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Swap an outgoing track on every peer connection without renegotiating
+  const replaceOutgoingTrack = async (kind, track) => {
+    const replacements = Array.from(peerConnectionsRef.current.values()).map(pc => {
+      const sender = pc.getSenders().find(s => s.track?.kind === kind);
+      return sender ? sender.replaceTrack(track) : Promise.resolve();
+    });
+    await Promise.all(replacements);
+  };
+
+  // Go back to the camera once sharing stops (button or browser "stop sharing")
+  const stopScreenShare = useCallback(async () => {
+    const stream = screenStreamRef.current;
+    if (!stream) return;
+
+    screenStreamRef.current = null;
+    setScreenStream(null);
+    stream.getTracks().forEach(track => {
+      track.onended = null;
+      track.stop();
+    });
+
+    try {
+      const cameraTrack = myStreamRef.current?.getVideoTracks()[0] || null;
+      await replaceOutgoingTrack('video', cameraTrack);
+    } catch (err) {
+      console.error('Failed to restore camera:', err);
+      setError('Failed to switch back to camera');
+    }
+
+    socketRef.current?.emit('screen:share', { sharing: false });
   }, []);
 
-  // Handle ICE candidate
-  const handleIceCandidate = useCallback(async ({ candidate }) => {
+  const startScreenShare = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+      const [screenTrack] = stream.getVideoTracks();
+
+      screenStreamRef.current = stream;
+      setScreenStream(stream);
+      screenTrack.onended = stopScreenShare;
+
+      await replaceOutgoingTrack('video', screenTrack);
+      socketRef.current?.emit('screen:share', { sharing: true });
+    } catch (err) {
+      // NotAllowedError means the user dismissed the picker
+      if (err.name !== 'NotAllowedError') {
+        console.error('Error sharing screen:', err);
+        setError('Failed to share screen');
+      }
+    }
+  };
+
+  const toggleScreenShare = () => {
+    if (screenStreamRef.current) {
+      stopScreenShare();
+    } else {
+      startScreenShare();
+    }
+  };
+
+  // Re-read the device list (labels only appear once permission is granted)
+  const refreshDevices = useCallback(async () => {
+    try {
+      setDevices(await listMediaDevices());
+    } catch (err) {
+      console.error('Failed to enumerate devices:', err);
+    }
+  }, []);
+
+  // Hot-swap the camera or microphone mid-call
+  const switchInputDevice = useCallback(async (kind, deviceId) => {
+    const stream = myStreamRef.current;
+    if (!stream) return;
+
+    const trackKind = kind === 'videoinput' ? 'video' : 'audio';
+    const oldTrack = trackKind === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+
     try {
-      if (peerConnectionRef.current) {
-        await peerConnectionRef.current.addIceCandidate(new RTCIceCandidate(candidate));
+      const newStream = await navigator.mediaDevices.getUserMedia(buildTrackConstraints(kind, deviceId));
+      const newTrack = trackKind === 'video' ? newStream.getVideoTracks()[0] : newStream.getAudioTracks()[0];
+      if (oldTrack) {
+        newTrack.enabled = oldTrack.enabled;
+      }
+
+      // While screen sharing the camera is not what peers are receiving
+      if (trackKind === 'audio' || !screenStreamRef.current) {
+        await replaceOutgoingTrack(trackKind, newTrack);
       }
+
+      const nextStream = new MediaStream([
+        ...stream.getTracks().filter(track => track.kind !== trackKind),
+        newTrack
+      ]);
+      oldTrack?.stop();
+      myStreamRef.current = nextStream;
+      setMyStream(nextStream);
     } catch (err) {
-      console.error('Error adding ICE candidate:', err);
+      console.error('Failed to switch device:', err);
+      setError(`Failed to switch ${trackKind === 'video' ? 'camera' : 'microphone'}`);
     }
   }, []);
 
-  // Make call
-  const makeCall = async () => {
-    if (!remoteSocketId) {
-      setError('No user to call');
-      return;
+  // Apply and remember a device choice
+  const selectDevice = (kind, deviceId) => {
+    const next = { ...devicePreferencesRef.current, [kind]: deviceId };
+    devicePreferencesRef.current = next;
+    setDevicePreferences(next);
+    saveDevicePreferences(next);
+
+    if (kind !== 'audiooutput') {
+      switchInputDevice(kind, deviceId);
     }
+  };
 
-    try {
-      setIsLoading(true);
-      const stream = myStream || await getUserMedia();
+  // React to headsets and cameras being plugged in or out
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+
+    const handleDeviceChange = async () => {
+      const available = await listMediaDevices();
+      setDevices(available);
+
+      const stream = myStreamRef.current;
       if (!stream) return;
 
-      const pc = createPeerConnection();
-      if (!pc) return;
-      
-      peerConnectionRef.current = pc;
+      ['videoinput', 'audioinput'].forEach(kind => {
+        const track = kind === 'videoinput' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+        const currentId = track?.getSettings().deviceId;
+        const preferredId = devicePreferencesRef.current[kind];
+        const isAvailable = (id) => available[kind].some(device => device.deviceId === id);
 
-      // Add local stream
-      stream.getTracks().forEach(track => {
-        pc.addTrack(track, stream);
+        if (preferredId && preferredId !== currentId && isAvailable(preferredId)) {
+          // The preferred device came back
+          switchInputDevice(kind, preferredId);
+        } else if (!track || track.readyState === 'ended' || (currentId && !isAvailable(currentId))) {
+          // The device in use went away; fall back to the system default
+          switchInputDevice(kind, '');
+        }
       });
+    };
 
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
+    refreshDevices();
+    mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [refreshDevices, switchInputDevice]);
 
-      socketRef.current.emit('outgoing:call', { to: remoteSocketId, offer });
-      setIsInCall(true);
+  // Labels become available once the camera/mic permission has been granted
+  useEffect(() => {
+    if (myStream) {
+      refreshDevices();
+    }
+  }, [myStream, refreshDevices]);
+
+  // Everyone currently visible in the call, in tile order, for the recording compositor
+  const getRecordingParticipants = () => [
+    { id: 'local', stream: screenStream || myStream, label: displayName.trim() || 'You' },
+    ...Object.keys(peerStates).map(peerId => ({
+      id: peerId,
+      stream: remoteStreams[peerId],
+      label: getParticipantName(peerId)
+    }))
+  ].filter(participant => participant.stream);
+
+  const startRecording = () => {
+    if (!isRecordingSupported()) {
+      setError('Recording is not supported in this browser');
+      return;
+    }
+
+    try {
+      const startedAt = new Date();
+      recorderRef.current = createCallRecorder(getRecordingParticipants(), {
+        onStop: (blob) => {
+          const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+          setRecording({ url: URL.createObjectURL(blob), filename: `call-${roomId.trim() || 'room'}-${stamp}.webm` });
+        },
+        onError: (err) => {
+          console.error('Recording error:', err);
+          setError('Recording failed');
+          recorderRef.current = null;
+          setIsRecording(false);
+          socketRef.current?.emit('recording:state', { recording: false });
+        }
+      });
+      setIsRecording(true);
+      socketRef.current?.emit('recording:state', { recording: true });
     } catch (err) {
-      console.error('Error making call:', err);
-      setError('Failed to start call');
-    } finally {
-      setIsLoading(false);
+      console.error('Failed to start recording:', err);
+      setError('Failed to start recording');
     }
   };
 
-  // Cleanup call
-  const cleanupCall = useCallback(() => {
-    setIsInCall(false);
-    setRemoteStream(null);
-    setConnectionState('new');
-    
-    if (peerConnectionRef.current) {
-      peerConnectionRef.current.close();
-      peerConnectionRef.current = null;
-    }
-  }, []);
+  const stopRecording = () => {
+    recorderRef.current?.stop();
+    recorderRef.current = null;
+    setIsRecording(false);
+    socketRef.current?.emit('recording:state', { recording: false });
+  };
 
-  // End call
-  const endCall = () => {
-    cleanupResources();
-    if (socketRef.current && remoteSocketId) {
-      socketRef.current.emit('call:ended', { to: remoteSocketId });
+  const dismissRecording = () => {
+    if (recording) {
+      URL.revokeObjectURL(recording.url);
     }
+    setRecording(null);
   };
 
+  // Keep the compositor in sync as people join, leave or share their screen
+  useEffect(() => {
+    if (isRecording && recorderRef.current) {
+      recorderRef.current.update(getRecordingParticipants());
+    }
+  });
+
   // Toggle video
   const toggleVideo = () => {
     if (myStream) {
@@ -350,42 +1508,146 @@ const VideoCallApp = () => {
     }
   };
 
-  // Copy room ID
-  const copyRoomId = async () => {
+  // Go along with the host's request to mute
+  const acceptMuteRequest = () => {
+    if (muteRequest?.kind === 'video') {
+      if (isVideoEnabled) toggleVideo();
+    } else if (isAudioEnabled) {
+      toggleAudio();
+    }
+    setMuteRequest(null);
+  };
+
+  // Host moderation; the server checks that we really are the host
+  const removeParticipant = (peerId) => {
+    if (window.confirm(`Remove ${getParticipantName(peerId)} from the room?`)) {
+      socketRef.current?.emit('moderation:remove', { participantId: peerId });
+    }
+  };
+
+  const requestMute = (peerId) => {
+    socketRef.current?.emit('moderation:mute-request', { participantId: peerId, kind: 'audio' });
+  };
+
+  const toggleRoomLock = () => {
+    socketRef.current?.emit('room:lock', { locked: !roomInfo?.locked });
+  };
+
+  // Ask the server for a signed, expiring invite token (host only)
+  const createInvite = () => {
+    if (socketRef.current) {
+      socketRef.current.emit('invite:create', {});
+    }
+  };
+
+  // Accept a pasted invite token and pick up its room ID
+  const handleInviteTokenChange = (value) => {
+    setInviteToken(value);
+    const inviteRoomId = getInviteRoomId(value);
+    if (inviteRoomId) {
+      setRoomId(inviteRoomId);
+    }
+  };
+
+  // Open or collapse the chat panel
+  const toggleChat = () => {
+    const nextOpen = !isChatOpenRef.current;
+    isChatOpenRef.current = nextOpen;
+    setIsChatOpen(nextOpen);
+    if (nextOpen) {
+      setUnreadChatCount(0);
+    }
+  };
+
+  const sendChatMessage = (text) => {
+    if (socketRef.current) {
+      socketRef.current.emit('chat:message', { text });
+    }
+  };
+
+  const isHost = Boolean(roomInfo && selfId && roomInfo.hostId === selfId);
+
+  // Copy a link that opens the room's pre-join screen
+  const copyRoomLink = async () => {
     try {
-      await navigator.clipboard.writeText(roomId);
-      // You could add a toast notification here
+      await navigator.clipboard.writeText(buildRoomLink(roomId.trim()));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 3000);
     } catch (err) {
-      console.error('Failed to copy room ID:', err);
+      console.error('Failed to copy room link:', err);
+      setError('Failed to copy link to clipboard');
+    }
+  };
+
+  // Bring the screen in line with the history entry the browser moved to (back/forward)
+  const handleHistoryChange = () => {
+    const view = getHistoryView();
+
+    if (view !== 'call' && isInCall) {
+      endCall();
+    }
+
+    if (view === 'call' && !isInCall) {
+      // Forward into a call that has ended: start a new one if there is anyone to call
+      if (roomJoined && remotePeers.length > 0) {
+        makeCall();
+      } else {
+        replaceHistory(window.location.pathname, 'room');
+      }
+    } else if (view === 'home') {
+      if (isPreJoinOpen) closePreJoin();
+      if (lobbyWait) leaveLobby();
+      if (roomJoined) leaveRoom();
+    } else if (view === 'room' && !roomJoined && !lobbyWait && !isPreJoinOpen) {
+      const { roomId: routeRoomId } = parseRoute();
+      setRoomId(routeRoomId);
+      setIsPreJoinOpen(true);
+      if (!myStreamRef.current) {
+        getUserMedia();
+      }
+    }
+  };
+
+  // Re-registered on every render so the handler sees the current state
+  useEffect(() => {
+    const handlePopState = () => {
+      if (skipPopStateRef.current) {
+        skipPopStateRef.current = false;
+        return;
+      }
+      handleHistoryChange();
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  });
+
+  // The pre-join "Back" button: the previous entry is home, unless the app was opened on a room link
+  const navigateHome = () => {
+    if (window.history.state?.initial) {
+      replaceHistory(HOME_PATH, 'home', { initial: true });
+      handleHistoryChange();
+    } else {
+      window.history.back();
     }
   };
 
   // Generate room ID
   const generateRoomId = () => {
-    const id = Math.random().toString(36).substring(2, 15) + 
+    const id = Math.random().toString(36).substring(2, 15) +
               Math.random().toString(36).substring(2, 5);
     setRoomId(id);
   };
 
-  // Update remote video when stream changes
-  useEffect(() => {
-    if (remoteStream && remoteVideoRef.current) {
-      remoteVideoRef.current.srcObject = remoteStream;
-    }
-  }, [remoteStream]);
-
-  // Update local video when stream changes
-  useEffect(() => {
-    if (myStream && localVideoRef.current) {
-      localVideoRef.current.srcObject = myStream;
-    }
-  }, [myStream]);
+  // Participants that have (or are negotiating) a peer connection
+  const callPeers = Object.keys(peerStates);
+  const recordingPeers = remotePeers.filter(peerId => participants[peerId]?.isRecording);
+  const callQuality = overallQuality(callStats);
 
   return (
     <div className="min-h-screen bg-gray-900 text-white">
       {/* Header */}
       <div className="bg-gray-800 p-4 shadow-lg">
-        <div className="max-w-4xl mx-auto flex items-center justify-between">
+        <div className="max-w-6xl mx-auto flex items-center justify-between">
           <h1 className="text-2xl font-bold flex items-center gap-2">
             <Video className="w-8 h-8 text-blue-500" />
             VideoCall App
@@ -400,7 +1662,22 @@ const VideoCallApp = () => {
               )}
               <span className="text-sm">{isConnected ? 'Connected' : 'Disconnected'}</span>
             </div>
-            
+
+            {/* Local recording indicator */}
+            {isRecording && (
+              <div className="flex items-center gap-2 text-sm text-red-400">
+                <Circle className="w-3 h-3 fill-red-500 text-red-500 animate-pulse" />
+                Recording
+              </div>
+            )}
+
+            {roomInfo?.locked && (
+              <div className="flex items-center gap-2 text-sm text-yellow-400" title="New participants cannot join">
+                <Lock className="w-4 h-4" />
+                Locked
+              </div>
+            )}
+
             {/* Connection State */}
             {isInCall && (
               <div className="text-sm">
@@ -411,13 +1688,25 @@ const VideoCallApp = () => {
                 }`}>
                   {connectionState}
                 </span>
+                <span className="text-gray-400 ml-2">({callPeers.length + 1} in call)</span>
+              </div>
+            )}
+
+            {/* Worst connection quality across all peers */}
+            {isInCall && callQuality && (
+              <div className="text-sm">
+                Quality: <span className={`font-medium ${
+                  callQuality >= 4 ? 'text-green-400' : callQuality === 3 ? 'text-yellow-400' : 'text-red-400'
+                }`}>
+                  {QUALITY_LABELS[callQuality]}
+                </span>
               </div>
             )}
           </div>
         </div>
       </div>
 
-      <div className="max-w-4xl mx-auto p-4">
+      <div className="max-w-6xl mx-auto p-4">
         {/* Error Message */}
         {error && (
           <div className="bg-red-600 text-white p-3 rounded-lg mb-4 flex items-center gap-2">
@@ -426,10 +1715,146 @@ const VideoCallApp = () => {
           </div>
         )}
 
-        {!isInCall ? (
+        {isHost && (
+          <LobbyRequests requests={lobbyRequests} onAdmit={admitFromLobby} onDeny={denyFromLobby} />
+        )}
+
+        {incomingCalls.length > 0 && (
+          <IncomingCall
+            callers={incomingCalls.map(({ from }) => ({
+              from,
+              name: getParticipantName(from),
+              avatarUrl: participants[from]?.avatarUrl
+            }))}
+            onAccept={acceptIncomingCalls}
+            onDecline={declineIncomingCalls}
+          />
+        )}
+
+        {/* Signaling dropped but the call media is still flowing */}
+        {isReconnecting && (
+          <div className="bg-yellow-900/40 border border-yellow-700 text-yellow-300 p-3 rounded-lg mb-4 flex items-center gap-2">
+            <div className="w-4 h-4 border-2 border-yellow-300 border-t-transparent rounded-full animate-spin"></div>
+            <span>Reconnecting to server... your call continues in the meantime.</span>
+          </div>
+        )}
+
+        {/* Remote participants must always know they are being recorded */}
+        {recordingPeers.length > 0 && (
+          <div className="bg-red-900/40 border border-red-700 text-red-300 p-3 rounded-lg mb-4 flex items-center gap-2">
+            <Circle className="w-3 h-3 fill-red-500 text-red-500 animate-pulse" />
+            <span>{recordingPeers.map(getParticipantName).join(', ')} {recordingPeers.length === 1 ? 'is' : 'are'} recording this call</span>
+          </div>
+        )}
+
+        {/* Finished local recording */}
+        {recording && (
+          <div className="bg-gray-800 border border-gray-700 p-3 rounded-lg mb-4 flex items-center justify-between gap-2">
+            <span className="text-sm">Recording ready: {recording.filename}</span>
+            <div className="flex items-center gap-2">
+              <a
+                href={recording.url}
+                download={recording.filename}
+                className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded-lg transition-colors flex items-center gap-2 text-sm"
+              >
+                <Download className="w-4 h-4" />
+                Download
+              </a>
+              <button onClick={dismissRecording} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Dismiss">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Operator notice */}
+        {serverNotice && (
+          <div
+            className={`p-3 rounded-lg mb-4 flex items-center justify-between gap-2 border ${
+              serverNotice.level === 'warning'
+                ? 'bg-yellow-900/40 border-yellow-700 text-yellow-200'
+                : 'bg-blue-900/40 border-blue-700 text-blue-200'
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <AlertCircle className="w-5 h-5 shrink-0" />
+              <span>
+                {serverNotice.message}
+                {serverNotice.startsAt && ` (starts ${new Date(serverNotice.startsAt).toLocaleString()})`}
+              </span>
+            </div>
+            <button onClick={() => setServerNotice(null)} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {/* The host asked us to mute */}
+        {muteRequest && (
+          <div className="bg-blue-900/40 border border-blue-700 text-blue-200 p-3 rounded-lg mb-4 flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <MicOff className="w-5 h-5" />
+              <span>
+                The host asked you to {muteRequest.kind === 'video' ? 'turn off your camera' : 'mute your microphone'}.
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={acceptMuteRequest} className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded transition-colors">
+                {muteRequest.kind === 'video' ? 'Turn off camera' : 'Mute'}
+              </button>
+              <button onClick={() => setMuteRequest(null)} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Dismiss">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Talking into a muted microphone */}
+        {isInCall && isMutedSpeaking && (
+          <div className="bg-yellow-900/40 border border-yellow-700 text-yellow-200 p-3 rounded-lg mb-4 flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <MicOff className="w-5 h-5" />
+              <span>You are muted. Unmute so others can hear you.</span>
+            </div>
+            <button onClick={toggleAudio} className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded transition-colors">
+              Unmute
+            </button>
+          </div>
+        )}
+
+        {!isInCall && isPreJoinOpen ? (
+          <PreJoin
+            roomId={roomId.trim()}
+            label={displayName.trim() || 'You'}
+            stream={myStream}
+            mediaError={mediaError}
+            isLoading={isLoading || isJoining}
+            canJoin={isConnected && !lobbyWait}
+            isVideoEnabled={isVideoEnabled}
+            isAudioEnabled={isAudioEnabled}
+            onToggleVideo={toggleVideo}
+            onToggleAudio={toggleAudio}
+            devices={devices}
+            preferences={devicePreferences}
+            canSelectOutput={supportsAudioOutputSelection()}
+            onSelectDevice={selectDevice}
+            onRetry={() => getUserMedia()}
+            onJoin={joinRoom}
+            onCancel={navigateHome}
+          />
+        ) : !isInCall ? (
           /* Room Setup */
           <div className="bg-gray-800 rounded-lg p-6 mb-6">
             <h2 className="text-xl font-semibold mb-4">Join or Create a Room</h2>
+            <input
+              type="text"
+              placeholder="Your name"
+              value={displayName}
+              onChange={(e) => handleDisplayNameChange(e.target.value)}
+              maxLength={50}
+              className="w-full px-4 py-2 mb-4 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:border-blue-500"
+              disabled={isLoading || roomJoined}
+            />
             <div className="flex flex-col sm:flex-row gap-4 mb-4">
               <input
                 type="text"
@@ -446,12 +1871,124 @@ const VideoCallApp = () => {
               >
                 Generate ID
               </button>
+              <button
+                onClick={() => setIsSettingsOpen(true)}
+                disabled={isLoading}
+                className="px-4 py-2 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg transition-colors flex items-center justify-center gap-2"
+                title="Device settings"
+              >
+                <Settings className="w-4 h-4" />
+                Devices
+              </button>
+            </div>
+
+            {/* Capacity only applies when this join creates the room */}
+            <div className="flex items-center gap-3 mb-4 text-sm text-gray-300">
+              <label htmlFor="room-capacity">Max participants (new rooms):</label>
+              <select
+                id="room-capacity"
+                value={roomCapacity}
+                onChange={(e) => setRoomCapacity(Number(e.target.value))}
+                disabled={isLoading || roomJoined}
+                className="px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:border-blue-500"
+              >
+                {Array.from({ length: MAX_ROOM_CAPACITY - MIN_ROOM_CAPACITY + 1 }, (_, i) => i + MIN_ROOM_CAPACITY).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Access control: passphrase for new or protected rooms, invite tokens from a creator */}
+            <div className="flex flex-col sm:flex-row gap-4 mb-4">
+              <input
+                type="password"
+                placeholder="Room passphrase (optional)"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                className={`flex-1 px-4 py-2 bg-gray-700 border rounded-lg focus:outline-none focus:border-blue-500 ${
+                  authPrompt ? 'border-yellow-500' : 'border-gray-600'
+                }`}
+                disabled={isLoading || roomJoined}
+              />
+              <input
+                type="text"
+                placeholder="Invite token (optional)"
+                value={inviteToken}
+                onChange={(e) => handleInviteTokenChange(e.target.value)}
+                className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:border-blue-500"
+                disabled={isLoading || roomJoined}
+              />
             </div>
-            
+
+            <label className="flex items-center gap-2 mb-4 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={inviteOnly}
+                onChange={(e) => setInviteOnly(e.target.checked)}
+                disabled={isLoading || roomJoined}
+              />
+              Invite-only (new rooms)
+            </label>
+
+            <label className="flex items-center gap-2 mb-4 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={waitingRoomEnabled}
+                onChange={(e) => setWaitingRoomEnabled(e.target.checked)}
+                disabled={isLoading || roomJoined}
+              />
+              Waiting room: the host admits new participants (new rooms)
+            </label>
+
+            <label className="flex items-center gap-2 mb-4 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={relayOnly}
+                onChange={(e) => handleRelayOnlyChange(e.target.checked)}
+                disabled={isLoading || isInCall}
+              />
+              Relay-only: hide my IP address from other participants (needs a TURN server)
+            </label>
+
+            <label className="flex items-center gap-2 mb-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={e2eeEnabled}
+                onChange={(e) => setE2eeEnabled(e.target.checked)}
+                disabled={isLoading || roomJoined || !isE2eeSupported()}
+              />
+              End-to-end encryption: everyone in the call must enter the same encryption passphrase
+              {!isE2eeSupported() && <span className="text-gray-500">(not supported by this browser)</span>}
+            </label>
+            {e2eeEnabled && (
+              <input
+                type="password"
+                placeholder="Encryption passphrase (never sent to the server)"
+                value={e2eePassphrase}
+                onChange={(e) => setE2eePassphrase(e.target.value)}
+                className="w-full px-4 py-2 mb-4 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:border-blue-500"
+                disabled={isLoading || roomJoined}
+              />
+            )}
+
+            {authPrompt && (
+              <div className="mb-4 p-4 bg-yellow-900/30 border border-yellow-700 rounded-lg flex items-start gap-2">
+                <Lock className="w-5 h-5 text-yellow-400 mt-0.5" />
+                <div>
+                  <p className="text-yellow-400">{authPrompt.message}</p>
+                  <p className="text-sm text-gray-400 mt-1">
+                    {authPrompt.reason === 'invite_required' || authPrompt.reason === 'invalid_invite'
+                      ? 'Ask the room creator for a new invite token.'
+                      : 'Enter the passphrase above and join again.'}
+                  </p>
+                </div>
+              </div>
+            )}
+
             <div className="flex flex-col sm:flex-row gap-4">
               <button
-                onClick={joinRoom}
-                disabled={!roomId.trim() || !isConnected || isLoading}
+                onClick={openPreJoin}
+                disabled={!roomId.trim() || !isConnected || isLoading || Boolean(lobbyWait)}
                 className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg transition-colors flex items-center justify-center gap-2"
               >
                 {isLoading ? (
@@ -461,28 +1998,73 @@ const VideoCallApp = () => {
                 )}
                 {isLoading ? 'Joining...' : 'Join Room'}
               </button>
-              
-              {roomId && (
+
+              {roomId.trim() && (
                 <button
-                  onClick={copyRoomId}
+                  onClick={copyRoomLink}
                   className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg transition-colors flex items-center gap-2"
                 >
                   <Copy className="w-4 h-4" />
-                  Copy ID
+                  {linkCopied ? 'Link copied!' : 'Copy Link'}
+                </button>
+              )}
+
+              {isHost && (
+                <button
+                  onClick={createInvite}
+                  className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg transition-colors flex items-center gap-2"
+                >
+                  <Link className="w-4 h-4" />
+                  {inviteCopied ? 'Invite copied!' : 'Copy Invite'}
+                </button>
+              )}
+
+              {isHost && (
+                <button
+                  onClick={toggleRoomLock}
+                  className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg transition-colors flex items-center gap-2"
+                >
+                  {roomInfo?.locked ? <LockOpen className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+                  {roomInfo?.locked ? 'Unlock Room' : 'Lock Room'}
                 </button>
               )}
             </div>
 
-            {roomJoined && !remoteSocketId && (
+            {lobbyWait && (
+              <div className="mt-4 p-4 bg-blue-900/30 border border-blue-700 rounded-lg flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <div className="w-4 h-4 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></div>
+                  <div>
+                    <p className="text-blue-400">Waiting for the host to let you in...</p>
+                    <p className="text-sm text-gray-400 mt-1">
+                      The request expires after {lobbyWait.timeout >= 60 ? `${Math.round(lobbyWait.timeout / 60)} min` : `${lobbyWait.timeout} s`} if nobody answers.
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={leaveLobby}
+                  className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {roomJoined && remotePeers.length === 0 && (
               <div className="mt-4 p-4 bg-blue-900/30 border border-blue-700 rounded-lg">
-                <p className="text-blue-400">Waiting for another user to join the room...</p>
-                <p className="text-sm text-gray-400 mt-1">Share the room ID: <strong>{roomId}</strong></p>
+                <p className="text-blue-400">Waiting for other users to join the room...</p>
+                <p className="text-sm text-gray-400 mt-1">
+                  Share this link: <strong className="break-all">{buildRoomLink(roomId.trim())}</strong>
+                </p>
               </div>
             )}
-            
-            {remoteSocketId && (
+
+            {remotePeers.length > 0 && (
               <div className="mt-4 p-4 bg-green-900/30 border border-green-700 rounded-lg">
-                <p className="text-green-400 mb-2">✅ User joined the room!</p>
+                <p className="text-green-400 mb-2">
+                  ✅ {remotePeers.length} {remotePeers.length === 1 ? 'user is' : 'users are'} in the room!
+                </p>
+                <p className="text-sm text-gray-400 mb-3">{remotePeers.map(getParticipantName).join(', ')}</p>
                 <button
                   onClick={makeCall}
                   disabled={isLoading}
@@ -501,66 +2083,59 @@ const VideoCallApp = () => {
         ) : (
           /* Video Call Interface */
           <div className="space-y-4">
-            {/* Video Container */}
-            <div className="relative bg-gray-800 rounded-lg overflow-hidden" style={{ aspectRatio: '16/9' }}>
-              {/* Remote Video */}
-              <video
-                ref={remoteVideoRef}
-                autoPlay
-                playsInline
-                className="w-full h-full object-cover"
+            {/* Video Grid */}
+            <div className={`grid grid-flow-dense gap-4 ${
+              callPeers.length === 0 ? 'grid-cols-1' :
+              callPeers.length < 4 ? 'grid-cols-1 sm:grid-cols-2' : 'grid-cols-2 lg:grid-cols-3'
+            }`}>
+              <VideoTile
+                stream={screenStream || myStream}
+                label={displayName.trim() ? `${displayName.trim()} (You)` : 'You'}
+                muted
+                isVideoEnabled={isVideoEnabled || Boolean(screenStream)}
+                isScreenShare={Boolean(screenStream)}
+                audioLevel={isAudioEnabled ? audioLevels[LOCAL_AUDIO_ID] : undefined}
+                isSpeaking={activeSpeaker === LOCAL_AUDIO_ID}
               />
-              
-              {/* Remote video placeholder */}
-              {!remoteStream && (
-                <div className="absolute inset-0 bg-gray-800 flex items-center justify-center">
-                  <div className="text-center">
-                    <Users className="w-16 h-16 mx-auto mb-4 text-gray-400" />
-                    <p className="text-gray-400">Waiting for other user's video...</p>
-                  </div>
-                </div>
-              )}
-              
-              {/* Local Video (Picture-in-Picture) */}
-              <div className="absolute top-4 right-4 w-48 h-36 bg-gray-700 rounded-lg overflow-hidden border-2 border-gray-600">
-                <video
-                  ref={localVideoRef}
-                  autoPlay
-                  playsInline
-                  muted
-                  className="w-full h-full object-cover"
-                />
-                {!myStream && (
-                  <div className="absolute inset-0 bg-gray-800 flex items-center justify-center">
-                    <Video className="w-8 h-8 text-gray-400" />
-                  </div>
-                )}
-                {!isVideoEnabled && myStream && (
-                  <div className="absolute inset-0 bg-gray-800 flex items-center justify-center">
-                    <VideoOff className="w-8 h-8 text-gray-400" />
-                  </div>
-                )}
-              </div>
-
-              {/* Connection Status Overlay */}
-              {connectionState === 'connecting' && (
-                <div className="absolute inset-0 bg-black/50 flex items-center justify-center">
-                  <div className="text-center">
-                    <div className="w-8 h-8 border-2 border-white border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
-                    <p className="text-white">Connecting...</p>
-                  </div>
-                </div>
-              )}
-
-              {/* No remote stream message */}
-              {!remoteStream && connectionState !== 'connecting' && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
-                  <div className="text-center">
-                    <Users className="w-16 h-16 mx-auto mb-4 text-gray-400" />
-                    <p className="text-gray-400">Waiting for other user's video...</p>
-                  </div>
-                </div>
-              )}
+              {/* With three or more tiles, the active speaker gets a bigger one */}
+              {callPeers.map(peerId => (
+                <VideoTile
+                  key={peerId}
+                  stream={remoteStreams[peerId]}
+                  label={getParticipantName(peerId)}
+                  avatarUrl={participants[peerId]?.avatarUrl}
+                  isScreenShare={participants[peerId]?.isScreenSharing}
+                  sinkId={devicePreferences.audiooutput}
+                  connectionState={
+                    participants[peerId]?.isReconnecting ? 'reconnecting'
+                      : ringingPeers.includes(peerId) ? 'ringing' : peerStates[peerId]
+                  }
+                  stats={showStats ? callStats[peerId] : undefined}
+                  audioLevel={audioLevels[peerId]}
+                  isSpeaking={activeSpeaker === peerId}
+                  decryptFailed={Boolean(decryptFailures[peerId])}
+                  className={callPeers.length > 1 && activeSpeaker === peerId ? 'sm:col-span-2 sm:row-span-2' : ''}
+                >
+                  {isHost && (
+                    <>
+                      <button
+                        onClick={() => requestMute(peerId)}
+                        className="p-1.5 bg-black/60 hover:bg-black/80 rounded transition-colors"
+                        title="Ask to mute"
+                      >
+                        <MicOff className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => removeParticipant(peerId)}
+                        className="p-1.5 bg-black/60 hover:bg-red-700 rounded transition-colors"
+                        title="Remove from room"
+                      >
+                        <UserX className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </VideoTile>
+              ))}
             </div>
 
             {/* Controls */}
@@ -585,6 +2160,84 @@ const VideoCallApp = () => {
                 {isVideoEnabled ? <Video className="w-6 h-6" /> : <VideoOff className="w-6 h-6" />}
               </button>
 
+              <button
+                onClick={toggleScreenShare}
+                className={`p-3 rounded-full transition-colors ${
+                  screenStream ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'
+                }`}
+                title={screenStream ? 'Stop sharing' : 'Share screen'}
+              >
+                {screenStream ? <MonitorOff className="w-6 h-6" /> : <Monitor className="w-6 h-6" />}
+              </button>
+
+              <button
+                onClick={() => setIsSettingsOpen(true)}
+                className="p-3 bg-gray-600 hover:bg-gray-700 rounded-full transition-colors"
+                title="Device settings"
+              >
+                <Settings className="w-6 h-6" />
+              </button>
+
+              <button
+                onClick={() => setShowStats(prev => !prev)}
+                className={`p-3 rounded-full transition-colors ${
+                  showStats ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'
+                }`}
+                title={showStats ? 'Hide call stats' : 'Show call stats'}
+              >
+                <Activity className="w-6 h-6" />
+              </button>
+
+              <button
+                onClick={isRecording ? stopRecording : startRecording}
+                className={`p-3 rounded-full transition-colors ${
+                  isRecording ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-700'
+                }`}
+                title={isRecording ? 'Stop recording' : 'Record call'}
+              >
+                {isRecording ? <Square className="w-6 h-6" /> : <Circle className="w-6 h-6" />}
+              </button>
+
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="p-3 bg-gray-600 hover:bg-gray-700 rounded-full transition-colors"
+                title="Send file"
+              >
+                <Paperclip className="w-6 h-6" />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  sendFiles(e.target.files);
+                  e.target.value = '';
+                }}
+              />
+
+              {isHost && (
+                <button
+                  onClick={toggleRoomLock}
+                  className={`p-3 rounded-full transition-colors ${
+                    roomInfo?.locked ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-gray-600 hover:bg-gray-700'
+                  }`}
+                  title={roomInfo?.locked ? 'Unlock room' : 'Lock room'}
+                >
+                  {roomInfo?.locked ? <Lock className="w-6 h-6" /> : <LockOpen className="w-6 h-6" />}
+                </button>
+              )}
+
+              {isHost && (
+                <button
+                  onClick={createInvite}
+                  className="p-3 bg-gray-600 hover:bg-gray-700 rounded-full transition-colors"
+                  title={inviteCopied ? 'Invite copied!' : 'Copy invite token'}
+                >
+                  <Link className="w-6 h-6" />
+                </button>
+              )}
+
               <button
                 onClick={endCall}
                 className="p-3 bg-red-600 hover:bg-red-700 rounded-full transition-colors"
@@ -593,11 +2246,49 @@ const VideoCallApp = () => {
                 <PhoneOff className="w-6 h-6" />
               </button>
             </div>
+
+            {/* Everyone using the same key sees the same number; read it out to check */}
+            {safetyNumber && (
+              <div className="flex items-center justify-center gap-2 text-sm text-gray-300">
+                <ShieldCheck className="w-4 h-4 text-green-400" />
+                <span>End-to-end encrypted. Safety number:</span>
+                <code className="font-mono text-green-300">{safetyNumber}</code>
+              </div>
+            )}
+
+            <FileTransferPanel
+              transfers={Object.values(fileTransfers)}
+              getPeerName={getParticipantName}
+              onCancel={cancelFileTransfer}
+              onDismiss={dismissFileTransfer}
+            />
           </div>
         )}
       </div>
+
+      {isSettingsOpen && (
+        <DeviceSettings
+          devices={devices}
+          preferences={devicePreferences}
+          canSelectOutput={supportsAudioOutputSelection()}
+          onSelect={selectDevice}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
+
+      {/* Chat is available as soon as we are in a room */}
+      {roomJoined && (
+        <ChatPanel
+          messages={chatMessages}
+          selfId={selfId}
+          isOpen={isChatOpen}
+          unreadCount={unreadChatCount}
+          onToggle={toggleChat}
+          onSend={sendChatMessage}
+        />
+      )}
     </div>
   );
 };
 
-export default VideoCallApp;
\ No newline at end of file
+export default VideoCallApp;
@@ -0,0 +1,117 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MessageSquare, Send, X } from 'lucide-react';
+
+const MAX_MESSAGE_LENGTH = 2000;
+const URL_PATTERN = /(https?:\/\/[^\s]+)/g;
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Render plain text with clickable links
+const MessageText = ({ text }) => (
+  <>
+    {text.split(URL_PATTERN).map((part, index) =>
+      index % 2 === 1 ? (
+        <a key={index} href={part} target="_blank" rel="noopener noreferrer" className="text-blue-400 underline break-all">
+          {part}
+        </a>
+      ) : (
+        <React.Fragment key={index}>{part}</React.Fragment>
+      )
+    )}
+  </>
+);
+
+// Collapsible in-room chat with unread badge
+const ChatPanel = ({ messages, selfId, isOpen, unreadCount, onToggle, onSend }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (isOpen && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages, isOpen]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={onToggle}
+        className="fixed bottom-6 right-6 p-4 bg-blue-600 hover:bg-blue-700 rounded-full shadow-lg transition-colors"
+        title="Open chat"
+      >
+        <MessageSquare className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-6 h-6 px-1 bg-red-600 rounded-full text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-6 right-6 w-80 h-96 bg-gray-800 border border-gray-700 rounded-lg shadow-lg flex flex-col">
+      <div className="flex items-center justify-between p-3 border-b border-gray-700">
+        <h3 className="font-semibold flex items-center gap-2">
+          <MessageSquare className="w-4 h-4" />
+          Chat
+        </h3>
+        <button onClick={onToggle} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Close chat">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto p-3 space-y-3">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-400 text-center mt-4">No messages yet</p>
+        )}
+        {messages.map(message => {
+          const isOwn = message.from === selfId;
+          return (
+            <div key={message.id} className={`flex flex-col ${isOwn ? 'items-end' : 'items-start'}`}>
+              <div className="text-xs text-gray-400 mb-1">
+                {isOwn ? 'You' : message.sender?.displayName || message.from.substring(0, 8)} · {formatTime(message.timestamp)}
+              </div>
+              <div className={`px-3 py-2 rounded-lg text-sm max-w-full whitespace-pre-wrap break-words ${
+                isOwn ? 'bg-blue-600' : 'bg-gray-700'
+              }`}>
+                <MessageText text={message.text} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-3 border-t border-gray-700 flex gap-2">
+        <input
+          type="text"
+          placeholder="Type a message"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          className="p-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded-lg transition-colors"
+          title="Send"
+        >
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+const DEVICE_LABELS = {
+  videoinput: 'Camera',
+  audioinput: 'Microphone',
+  audiooutput: 'Speaker'
+};
+
+// One picker per device kind; used by the settings modal and the pre-join screen
+const DeviceSelectors = ({ devices, preferences, canSelectOutput, onSelect }) => (
+  <div className="space-y-4">
+    {Object.entries(DEVICE_LABELS).map(([kind, label]) => {
+      const options = devices[kind] || [];
+      const disabled = kind === 'audiooutput' && !canSelectOutput;
+      return (
+        <div key={kind}>
+          <label htmlFor={`device-${kind}`} className="block text-sm text-gray-300 mb-1">{label}</label>
+          <select
+            id={`device-${kind}`}
+            value={preferences[kind]}
+            onChange={(e) => onSelect(kind, e.target.value)}
+            disabled={disabled}
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:border-blue-500 disabled:opacity-50"
+          >
+            <option value="">System default</option>
+            {options.map((device, index) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || `${label} ${index + 1}`}
+              </option>
+            ))}
+          </select>
+          {disabled && (
+            <p className="text-xs text-gray-400 mt-1">This browser does not support choosing the speaker.</p>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default DeviceSelectors;
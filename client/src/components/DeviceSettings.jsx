@@ -0,0 +1,24 @@
+import React from 'react';
+import { Settings, X } from 'lucide-react';
+import DeviceSelectors from './DeviceSelectors';
+
+// Modal for picking camera, microphone and speaker
+const DeviceSettings = ({ devices, preferences, canSelectOutput, onSelect, onClose }) => (
+  <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+    <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <Settings className="w-5 h-5" />
+          Devices
+        </h2>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <DeviceSelectors devices={devices} preferences={preferences} canSelectOutput={canSelectOutput} onSelect={onSelect} />
+    </div>
+  </div>
+);
+
+export default DeviceSettings;
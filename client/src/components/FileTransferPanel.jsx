@@ -0,0 +1,82 @@
+import React from 'react';
+import { Download, Upload, X, CheckCircle, AlertCircle } from 'lucide-react';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isActive = (status) => status === 'preparing' || status === 'transferring';
+
+// Progress list for file transfers in both directions
+const FileTransferPanel = ({ transfers, getPeerName, onCancel, onDismiss }) => {
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <h3 className="font-semibold text-sm text-gray-300">File transfers</h3>
+      {transfers.map(transfer => {
+        const percent = transfer.size > 0 ? Math.round((transfer.bytes / transfer.size) * 100) : 100;
+        return (
+          <div key={transfer.key} className="text-sm">
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <div className="flex items-center gap-2 min-w-0">
+                {transfer.direction === 'send' ? (
+                  <Upload className="w-4 h-4 text-blue-400 shrink-0" />
+                ) : (
+                  <Download className="w-4 h-4 text-green-400 shrink-0" />
+                )}
+                <span className="truncate">{transfer.name}</span>
+                <span className="text-gray-400 shrink-0">
+                  {transfer.direction === 'send' ? 'to' : 'from'} {getPeerName(transfer.peerId)}
+                </span>
+              </div>
+
+              <div className="flex items-center gap-2 shrink-0">
+                {transfer.status === 'verified' && transfer.url && (
+                  <a
+                    href={transfer.url}
+                    download={transfer.name}
+                    className="px-2 py-1 bg-green-600 hover:bg-green-700 rounded transition-colors"
+                  >
+                    Save
+                  </a>
+                )}
+                {transfer.status === 'complete' && <CheckCircle className="w-4 h-4 text-green-400" />}
+                {transfer.status === 'failed' && <AlertCircle className="w-4 h-4 text-red-400" />}
+                <button
+                  onClick={() => (isActive(transfer.status) ? onCancel(transfer) : onDismiss(transfer))}
+                  className="p-1 hover:bg-gray-700 rounded transition-colors"
+                  title={isActive(transfer.status) ? 'Cancel transfer' : 'Dismiss'}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            <div className="h-2 bg-gray-700 rounded overflow-hidden">
+              <div
+                className={`h-full transition-all ${
+                  transfer.status === 'failed' || transfer.status === 'cancelled' ? 'bg-red-500' :
+                  transfer.status === 'verified' || transfer.status === 'complete' ? 'bg-green-500' : 'bg-blue-500'
+                }`}
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+
+            <div className="text-xs text-gray-400 mt-1">
+              {transfer.status === 'preparing' && 'Preparing...'}
+              {transfer.status === 'transferring' && `${formatBytes(transfer.bytes)} of ${formatBytes(transfer.size)} (${percent}%)`}
+              {transfer.status === 'complete' && `Sent ${formatBytes(transfer.size)}`}
+              {transfer.status === 'verified' && `Received ${formatBytes(transfer.size)}, integrity verified`}
+              {(transfer.status === 'failed' || transfer.status === 'cancelled') && (transfer.error || transfer.status)}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FileTransferPanel;
@@ -0,0 +1,50 @@
+import React, { useEffect } from 'react';
+import { Phone, PhoneOff } from 'lucide-react';
+import { startRingtone } from '../lib/ringtone';
+
+// Full-screen prompt for a ringing call, with ringtone; several people may be calling at once
+const IncomingCall = ({ callers, onAccept, onDecline }) => {
+  // Ring for as long as the prompt is shown
+  useEffect(() => startRingtone(), []);
+
+  const [first, ...others] = callers;
+  const title = others.length > 0
+    ? `${first.name} and ${others.length} other${others.length === 1 ? '' : 's'} are calling`
+    : `${first.name} is calling`;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4" role="alertdialog" aria-label={title}>
+      <div className="bg-gray-800 border border-gray-700 rounded-xl p-8 w-full max-w-sm text-center">
+        {first.avatarUrl ? (
+          <img src={first.avatarUrl} alt={first.name} className="w-20 h-20 rounded-full object-cover mx-auto mb-4" />
+        ) : (
+          <div className="w-20 h-20 rounded-full bg-green-700 flex items-center justify-center mx-auto mb-4 animate-pulse">
+            <Phone className="w-10 h-10" />
+          </div>
+        )}
+        <h2 className="text-xl font-semibold mb-1">{title}</h2>
+        <p className="text-sm text-gray-400 mb-6">Incoming video call</p>
+
+        <div className="flex justify-center gap-6">
+          <button
+            onClick={onDecline}
+            className="p-4 bg-red-600 hover:bg-red-700 rounded-full transition-colors"
+            title="Decline"
+          >
+            <PhoneOff className="w-6 h-6" />
+          </button>
+          <button
+            onClick={onAccept}
+            className="p-4 bg-green-600 hover:bg-green-700 rounded-full transition-colors"
+            title="Accept"
+            autoFocus
+          >
+            <Phone className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IncomingCall;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { DoorOpen, Check, X } from 'lucide-react';
+
+// Host-only list of people waiting in the lobby, with admit / deny buttons
+const LobbyRequests = ({ requests, onAdmit, onDeny }) => {
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 border border-blue-700 rounded-lg p-4 mb-4">
+      <h3 className="font-semibold text-sm text-blue-300 flex items-center gap-2 mb-3">
+        <DoorOpen className="w-4 h-4" />
+        {requests.length === 1 ? '1 person is' : `${requests.length} people are`} waiting to join
+      </h3>
+      <div className="space-y-2">
+        {requests.map(request => (
+          <div key={request.participantId} className="flex items-center justify-between gap-2 text-sm">
+            <span className="truncate">{request.user?.displayName || request.participantId.substring(0, 8)}</span>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                onClick={() => onAdmit(request.participantId)}
+                className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded transition-colors flex items-center gap-1"
+              >
+                <Check className="w-4 h-4" />
+                Admit
+              </button>
+              <button
+                onClick={() => onDeny(request.participantId)}
+                className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded transition-colors flex items-center gap-1"
+              >
+                <X className="w-4 h-4" />
+                Deny
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LobbyRequests;
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { Mic, Volume2, Users, AlertCircle, RefreshCw } from 'lucide-react';
+import VideoTile from './VideoTile';
+import DeviceSelectors from './DeviceSelectors';
+import { createAudioLevelMonitor } from '../lib/audioLevels';
+import { playTestTone } from '../lib/mediaDevices';
+
+// What to tell the user for each getUserMedia() failure
+const MEDIA_ERROR_HELP = {
+  NotAllowedError: {
+    title: 'Camera and microphone access is blocked',
+    help: 'Click the camera icon in the address bar (or open the site settings), allow the camera and microphone, then try again.'
+  },
+  NotFoundError: {
+    title: 'No camera or microphone found',
+    help: 'Connect a camera and microphone, or check that they are enabled in your system settings.'
+  },
+  NotReadableError: {
+    title: 'Your camera or microphone is already in use',
+    help: 'Close other apps or tabs that may be using them, then try again.'
+  },
+  OverconstrainedError: {
+    title: 'The selected device is not available',
+    help: 'Pick another device below, or use the system default.'
+  },
+  // navigator.mediaDevices is missing outside secure contexts
+  TypeError: {
+    title: 'Camera access needs a secure connection',
+    help: 'Open the app over HTTPS (or on localhost).'
+  }
+};
+
+// Camera preview and device checks before entering a room
+const PreJoin = ({
+  roomId, label, stream, mediaError, isLoading, canJoin,
+  isVideoEnabled, isAudioEnabled, onToggleVideo, onToggleAudio,
+  devices, preferences, canSelectOutput, onSelectDevice,
+  onRetry, onJoin, onCancel
+}) => {
+  const [micLevel, setMicLevel] = useState(0);
+  const [isPlayingTone, setIsPlayingTone] = useState(false);
+
+  // Mic test: show the level even while "join muted" is ticked
+  useEffect(() => {
+    if (!stream) return;
+
+    const monitor = createAudioLevelMonitor({ onLevels: (levels) => setMicLevel(levels.local ?? 0) });
+    monitor.setStreams({ local: stream }, { ignoreMute: ['local'] });
+    return () => {
+      monitor.stop();
+      setMicLevel(0);
+    };
+  }, [stream]);
+
+  const testSpeaker = async () => {
+    setIsPlayingTone(true);
+    try {
+      await playTestTone(preferences.audiooutput);
+    } catch (err) {
+      console.error('Failed to play test tone:', err);
+    } finally {
+      setIsPlayingTone(false);
+    }
+  };
+
+  const errorHelp = mediaError && (MEDIA_ERROR_HELP[mediaError.name] || {
+    title: 'Could not start your camera or microphone',
+    help: mediaError.message
+  });
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-1">Ready to join?</h2>
+      <p className="text-sm text-gray-400 mb-4">Room <strong>{roomId}</strong></p>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div>
+          <VideoTile stream={stream} label={label} muted isVideoEnabled={isVideoEnabled} />
+
+          {/* Mic test */}
+          <div className="flex items-center gap-3 mt-3 text-sm text-gray-300">
+            <Mic className="w-4 h-4" />
+            <div className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div className="h-full bg-green-500 transition-all duration-100" style={{ width: `${Math.round(micLevel * 100)}%` }} />
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">Say something: the bar should move.</p>
+
+          {errorHelp && (
+            <div className="mt-4 p-4 bg-red-900/30 border border-red-700 rounded-lg flex items-start gap-2">
+              <AlertCircle className="w-5 h-5 text-red-400 mt-0.5" />
+              <div>
+                <p className="text-red-400">{errorHelp.title}</p>
+                <p className="text-sm text-gray-400 mt-1">{errorHelp.help}</p>
+                <button
+                  onClick={onRetry}
+                  disabled={isLoading}
+                  className="mt-3 px-3 py-1 bg-gray-600 hover:bg-gray-700 disabled:opacity-50 rounded transition-colors flex items-center gap-2 text-sm"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Try again
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <DeviceSelectors
+            devices={devices}
+            preferences={preferences}
+            canSelectOutput={canSelectOutput}
+            onSelect={onSelectDevice}
+          />
+
+          <button
+            onClick={testSpeaker}
+            disabled={isPlayingTone}
+            className="mt-4 px-4 py-2 bg-gray-600 hover:bg-gray-700 disabled:opacity-50 rounded-lg transition-colors flex items-center gap-2"
+          >
+            <Volume2 className="w-4 h-4" />
+            {isPlayingTone ? 'Playing...' : 'Test speaker'}
+          </button>
+
+          <label className="flex items-center gap-2 mt-6 text-sm text-gray-300">
+            <input type="checkbox" checked={!isVideoEnabled} onChange={onToggleVideo} disabled={!stream} />
+            Join with camera off
+          </label>
+          <label className="flex items-center gap-2 mt-2 text-sm text-gray-300">
+            <input type="checkbox" checked={!isAudioEnabled} onChange={onToggleAudio} disabled={!stream} />
+            Join muted
+          </label>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 mt-6">
+        <button
+          onClick={onJoin}
+          disabled={!stream || !canJoin || isLoading}
+          className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg transition-colors flex items-center justify-center gap-2"
+        >
+          {isLoading ? (
+            <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+          ) : (
+            <Users className="w-4 h-4" />
+          )}
+          {isLoading ? 'Joining...' : 'Join now'}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg transition-colors"
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PreJoin;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { QUALITY_LABELS } from '../lib/callStats';
+
+const formatValue = (value, unit) => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+// Per-peer call-quality figures drawn over a video tile
+const StatsOverlay = ({ stats }) => (
+  <div className="absolute top-2 left-2 px-2 py-1 bg-black/70 rounded text-[11px] font-mono leading-4 text-gray-200">
+    <div>Quality: {stats.score ? `${QUALITY_LABELS[stats.score]} (${stats.score}/5)` : '–'}</div>
+    <div>RTT: {formatValue(stats.rtt, ' ms')} · Jitter: {formatValue(stats.jitter, ' ms')}</div>
+    <div>Loss: {formatValue(stats.packetLoss, '%')}</div>
+    <div>In: {formatValue(stats.bitrateIn, ' kbps')} · Out: {formatValue(stats.bitrateOut, ' kbps')}</div>
+    <div>Video: {stats.resolution ? `${stats.resolution} @ ${formatValue(stats.fps, ' fps')}` : '–'}</div>
+    <div>Route: {stats.candidateType || '–'}</div>
+  </div>
+);
+
+export default StatsOverlay;
@@ -0,0 +1,126 @@
+import React, { useRef, useEffect } from 'react';
+import { Users, VideoOff, Monitor, ShieldAlert } from 'lucide-react';
+import StatsOverlay from './StatsOverlay';
+
+// Avatar image, falling back to the participant's initials
+const Avatar = ({ label, avatarUrl }) => {
+  const initials = (label || '?')
+    .split(/\s+/)
+    .map(part => part.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+
+  if (avatarUrl) {
+    return <img src={avatarUrl} alt={label} className="w-16 h-16 rounded-full object-cover mx-auto mb-2" />;
+  }
+
+  return (
+    <div className="w-16 h-16 rounded-full bg-gray-600 flex items-center justify-center text-xl font-semibold mx-auto mb-2">
+      {initials || <Users className="w-8 h-8 text-gray-400" />}
+    </div>
+  );
+};
+
+// Microphone level as a row of bars (level is 0-1)
+const AudioMeter = ({ level }) => (
+  <span className="flex items-end gap-0.5 h-3" aria-hidden="true">
+    {[0.1, 0.3, 0.5, 0.7].map((threshold, index) => (
+      <span
+        key={threshold}
+        className={`w-1 rounded-sm ${level > threshold ? 'bg-green-400' : 'bg-gray-500'}`}
+        style={{ height: `${(index + 1) * 25}%` }}
+      />
+    ))}
+  </span>
+);
+
+// Single participant tile used for both the local preview and remote peers
+const VideoTile = ({
+  stream, label, avatarUrl, muted = false, isVideoEnabled = true, isScreenShare = false, connectionState, sinkId, stats,
+  audioLevel, isSpeaking = false, decryptFailed = false, className = '', children
+}) => {
+  const videoRef = useRef(null);
+
+  // Attach the stream whenever it changes
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  // Route remote audio to the chosen speaker where supported
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video && typeof video.setSinkId === 'function' && sinkId !== undefined) {
+      video.setSinkId(sinkId).catch(err => console.error('Failed to set audio output:', err));
+    }
+  }, [sinkId]);
+
+  return (
+    <div
+      className={`relative bg-gray-800 rounded-lg overflow-hidden transition-shadow ${isSpeaking ? 'ring-2 ring-green-400' : ''} ${className}`}
+      style={{ aspectRatio: '16/9' }}
+    >
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted={muted}
+        className={`w-full h-full ${isScreenShare ? 'object-contain bg-black' : 'object-cover'}`}
+      />
+
+      {/* Placeholder until media arrives */}
+      {!stream && (
+        <div className="absolute inset-0 bg-gray-800 flex items-center justify-center">
+          <div className="text-center">
+            {connectionState === 'connecting' ? (
+              <div className="w-8 h-8 border-2 border-white border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+            ) : (
+              <Avatar label={label} avatarUrl={avatarUrl} />
+            )}
+            <p className="text-gray-400 text-sm">
+              {connectionState === 'connecting' ? 'Connecting...'
+                : connectionState === 'ringing' ? 'Ringing...' : 'Waiting for video...'}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {stream && !isVideoEnabled && (
+        <div className="absolute inset-0 bg-gray-800 flex flex-col items-center justify-center">
+          <Avatar label={label} avatarUrl={avatarUrl} />
+          <VideoOff className="w-6 h-6 text-gray-400" />
+        </div>
+      )}
+
+      {stats && <StatsOverlay stats={stats} />}
+
+      {/* End-to-end encryption: this participant's media cannot be decrypted */}
+      {decryptFailed && (
+        <div className="absolute inset-x-0 top-10 flex justify-center">
+          <div className="px-3 py-1 bg-red-700/90 rounded text-xs flex items-center gap-1">
+            <ShieldAlert className="w-4 h-4" />
+            Cannot decrypt: check that you use the same encryption passphrase
+          </div>
+        </div>
+      )}
+
+      {/* Per-participant actions (host moderation) */}
+      {children && <div className="absolute top-2 right-2 flex items-center gap-1">{children}</div>}
+
+      {/* Participant label */}
+      <div className="absolute bottom-2 left-2 px-2 py-1 bg-black/60 rounded text-xs flex items-center gap-2">
+        {audioLevel !== undefined && <AudioMeter level={audioLevel} />}
+        {isScreenShare && <Monitor className="w-3 h-3 text-blue-400" />}
+        <span>{label}{isScreenShare ? ' · Screen' : ''}</span>
+        {connectionState && connectionState !== 'connected' && (
+          <span className="text-yellow-400">{connectionState}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VideoTile;
@@ -0,0 +1,153 @@
+// Live audio levels through WebAudio analysers, and active-speaker detection on top of them
+
+const FFT_SIZE = 512;
+const SAMPLE_INTERVAL = 100; // ms between level readings
+// Levels are reported on a 0-1 scale covering MIN_DB to 0 dBFS
+const MIN_DB = -60;
+// Meters rise immediately but fall back gradually
+const DECAY = 0.7;
+
+// Speaking starts above the first threshold and only stops once the level falls below the second,
+// and stays on for a moment after that so the pauses between words do not count as silence
+const SPEAKING_START = 0.35;
+const SPEAKING_STOP = 0.2;
+const SPEAKING_HANG = 500; // ms
+// Someone else has to be the loudest speaker for this long before they take over as active speaker
+const SWITCH_DELAY = 1000; // ms
+
+const toLevel = (samples) => {
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  const rms = Math.sqrt(sum / samples.length);
+  if (rms === 0) return 0;
+  return Math.min(Math.max((20 * Math.log10(rms) - MIN_DB) / -MIN_DB, 0), 1);
+};
+
+/**
+ * Measure the audio of several streams, keyed by participant.
+ * onLevels receives { [id]: level } every SAMPLE_INTERVAL.
+ * Returns { setStreams, stop }.
+ */
+export const createAudioLevelMonitor = ({ onLevels }) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return { setStreams: () => {}, stop: () => {} };
+
+  const context = new AudioContextClass();
+  // id -> { trackId, source, analyser, clone, level }
+  const sources = new Map();
+  const buffer = new Float32Array(FFT_SIZE);
+
+  const disconnect = (id) => {
+    const entry = sources.get(id);
+    if (!entry) return;
+    entry.source.disconnect();
+    entry.clone?.stop();
+    sources.delete(id);
+  };
+
+  const connect = (id, track, { ignoreMute }) => {
+    // A disabled (muted) track feeds silence, so measure an enabled copy of it instead
+    const clone = ignoreMute ? track.clone() : null;
+    if (clone) clone.enabled = true;
+
+    const source = context.createMediaStreamSource(new MediaStream([clone || track]));
+    const analyser = context.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    source.connect(analyser);
+    sources.set(id, { trackId: track.id, source, analyser, clone, level: 0 });
+  };
+
+  const timer = setInterval(() => {
+    const levels = {};
+    sources.forEach((entry, id) => {
+      entry.analyser.getFloatTimeDomainData(buffer);
+      entry.level = Math.max(toLevel(buffer), entry.level * DECAY);
+      levels[id] = entry.level;
+    });
+    onLevels(levels);
+  }, SAMPLE_INTERVAL);
+
+  // Browsers may start the context suspended until the page has had a user gesture
+  context.resume().catch(() => {});
+
+  return {
+    /**
+     * streams: { [id]: MediaStream | null }; ids missing from it stop being measured.
+     * ignoreMute: ids whose level should be measured even while their track is disabled (the local mic)
+     */
+    setStreams(streams, { ignoreMute = [] } = {}) {
+      sources.forEach((_entry, id) => {
+        if (!streams[id]) disconnect(id);
+      });
+
+      Object.entries(streams).forEach(([id, stream]) => {
+        const track = stream?.getAudioTracks()[0];
+        if (!track) {
+          disconnect(id);
+          return;
+        }
+        if (sources.get(id)?.trackId === track.id) return;
+        disconnect(id);
+        connect(id, track, { ignoreMute: ignoreMute.includes(id) });
+      });
+    },
+
+    stop() {
+      clearInterval(timer);
+      Array.from(sources.keys()).forEach(disconnect);
+      context.close().catch(() => {});
+    }
+  };
+};
+
+/**
+ * Track who is speaking from successive level readings.
+ * update() returns { speaking: { [id]: speakingSince }, activeSpeaker }; the active speaker stays
+ * the last person who spoke until someone else has been the loudest for SWITCH_DELAY.
+ */
+export const createSpeakerDetector = () => {
+  // id -> { since, lastLoud }
+  const speaking = new Map();
+  let activeSpeaker = null;
+  let candidate = null;
+
+  return {
+    // ignore: ids tracked as speaking that may not become the active speaker (e.g. ourselves while muted)
+    update(levels, { ignore = [], now = Date.now() } = {}) {
+      Object.entries(levels).forEach(([id, level]) => {
+        const state = speaking.get(id);
+        if (level >= SPEAKING_START || (state && level >= SPEAKING_STOP)) {
+          speaking.set(id, { since: state ? state.since : now, lastLoud: now });
+        } else if (state && now - state.lastLoud > SPEAKING_HANG) {
+          speaking.delete(id);
+        }
+      });
+      speaking.forEach((_state, id) => {
+        if (!(id in levels)) speaking.delete(id);
+      });
+      if (activeSpeaker !== null && !(activeSpeaker in levels)) activeSpeaker = null;
+
+      const loudest = Array.from(speaking.keys())
+        .filter(id => !ignore.includes(id))
+        .reduce((best, id) => (best === null || levels[id] > levels[best] ? id : best), null);
+
+      if (loudest === null || loudest === activeSpeaker) {
+        candidate = null;
+      } else if (activeSpeaker === null || !speaking.has(activeSpeaker)) {
+        // Nobody else is talking, so there is nothing to flap between
+        activeSpeaker = loudest;
+        candidate = null;
+      } else if (candidate?.id !== loudest) {
+        candidate = { id: loudest, since: now };
+      } else if (now - candidate.since >= SWITCH_DELAY) {
+        activeSpeaker = loudest;
+        candidate = null;
+      }
+
+      return {
+        speaking: Object.fromEntries(Array.from(speaking, ([id, state]) => [id, state.since])),
+        activeSpeaker
+      };
+    }
+  };
+};
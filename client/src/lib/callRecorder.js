@@ -0,0 +1,163 @@
+// Local call recording: every participant's video is composited onto a canvas,
+// their audio is mixed through WebAudio, and the result is recorded to WebM.
+
+const CANVAS_WIDTH = 1280;
+const CANVAS_HEIGHT = 720;
+const FRAME_RATE = 30;
+const TIMESLICE = 1000; // ms of media per dataavailable chunk
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+export const isRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+const pickMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// Grid with as few empty cells as possible for the number of tiles
+const getGrid = (count) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  return { columns, rows: Math.ceil(count / columns) };
+};
+
+// Draw a video into a cell, letterboxed to keep its aspect ratio
+const drawTile = (ctx, { video, label }, x, y, width, height) => {
+  ctx.fillStyle = '#1f2937';
+  ctx.fillRect(x, y, width, height);
+
+  if (video.readyState >= 2 && video.videoWidth > 0) {
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+
+  if (label) {
+    ctx.font = '20px sans-serif';
+    const textWidth = ctx.measureText(label).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x + 8, y + height - 38, textWidth + 16, 30);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, x + 16, y + height - 16);
+  }
+};
+
+/**
+ * Start recording a set of participant streams.
+ * `participants` is a list of { id, stream, label }; call `update` when it changes.
+ * `onStop` receives the finished WebM Blob.
+ */
+export const createCallRecorder = (participants, { onStop, onError }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  const audioContext = new AudioContext();
+  const audioDestination = audioContext.createMediaStreamDestination();
+  const sources = new Map(); // participant id -> { video, label, audioSource, stream }
+
+  const addParticipant = ({ id, stream, label }) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    video.play().catch(() => {});
+
+    let audioSource = null;
+    if (stream.getAudioTracks().length > 0) {
+      audioSource = audioContext.createMediaStreamSource(stream);
+      audioSource.connect(audioDestination);
+    }
+
+    sources.set(id, { video, label, audioSource, stream });
+  };
+
+  const removeParticipant = (id) => {
+    const source = sources.get(id);
+    if (!source) return;
+
+    source.audioSource?.disconnect();
+    source.video.srcObject = null;
+    sources.delete(id);
+  };
+
+  const update = (nextParticipants) => {
+    const nextIds = new Set(nextParticipants.map(participant => participant.id));
+    Array.from(sources.keys()).filter(id => !nextIds.has(id)).forEach(removeParticipant);
+
+    nextParticipants.forEach(participant => {
+      const existing = sources.get(participant.id);
+      if (existing && existing.stream === participant.stream) {
+        existing.label = participant.label;
+        return;
+      }
+      removeParticipant(participant.id);
+      addParticipant(participant);
+    });
+  };
+
+  const drawFrame = () => {
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    const tiles = Array.from(sources.values());
+    if (tiles.length === 0) return;
+
+    const { columns, rows } = getGrid(tiles.length);
+    const width = CANVAS_WIDTH / columns;
+    const height = CANVAS_HEIGHT / rows;
+    tiles.forEach((tile, index) => {
+      drawTile(ctx, tile, (index % columns) * width, Math.floor(index / columns) * height, width, height);
+    });
+  };
+
+  update(participants);
+
+  // setInterval rather than requestAnimationFrame so hidden tabs keep recording
+  const drawTimer = setInterval(drawFrame, 1000 / FRAME_RATE);
+
+  const composite = canvas.captureStream(FRAME_RATE);
+  audioDestination.stream.getAudioTracks().forEach(track => composite.addTrack(track));
+
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(composite, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+
+  const teardown = () => {
+    clearInterval(drawTimer);
+    Array.from(sources.keys()).forEach(removeParticipant);
+    composite.getTracks().forEach(track => track.stop());
+    audioContext.close().catch(() => {});
+  };
+
+  recorder.onstop = () => {
+    teardown();
+    onStop(new Blob(chunks, { type: 'video/webm' }));
+  };
+
+  recorder.onerror = (event) => {
+    teardown();
+    onError?.(event.error || new Error('Recording failed'));
+  };
+
+  recorder.start(TIMESLICE);
+
+  return {
+    update,
+    stop: () => {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    }
+  };
+};
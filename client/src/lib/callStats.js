@@ -0,0 +1,132 @@
+// Call-quality figures derived from RTCPeerConnection.getStats()
+
+export const QUALITY_LABELS = {
+  5: 'Excellent',
+  4: 'Good',
+  3: 'Fair',
+  2: 'Poor',
+  1: 'Bad'
+};
+
+// The candidate pair ICE actually selected (older browsers only flag it on the pair itself)
+const findSelectedPair = (report) => {
+  let selectedId = null;
+  let fallback = null;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selectedId = stat.selectedCandidatePairId;
+    }
+    if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+      fallback = stat;
+    }
+  });
+  return (selectedId && report.get(selectedId)) || fallback;
+};
+
+/**
+ * Reduce a getStats() report to one summary per peer.
+ * Pass the previous summary to get rates (bitrate, packet loss) over the last interval.
+ */
+export const summarizeStats = (report, previous = null) => {
+  const summary = {
+    timestamp: Date.now(),
+    bytesReceived: 0,
+    bytesSent: 0,
+    packetsReceived: 0,
+    packetsLost: 0,
+    rtt: null, // ms
+    jitter: null, // ms, worst inbound stream
+    packetLoss: null, // percent
+    bitrateIn: null, // kbit/s
+    bitrateOut: null, // kbit/s
+    resolution: null,
+    fps: null,
+    candidateType: null
+  };
+
+  report.forEach(stat => {
+    if (stat.type === 'inbound-rtp') {
+      summary.bytesReceived += stat.bytesReceived || 0;
+      summary.packetsReceived += stat.packetsReceived || 0;
+      summary.packetsLost += Math.max(stat.packetsLost || 0, 0);
+      if (typeof stat.jitter === 'number') {
+        summary.jitter = Math.max(summary.jitter || 0, Math.round(stat.jitter * 1000));
+      }
+      if (stat.kind === 'video' && stat.frameWidth) {
+        summary.resolution = `${stat.frameWidth}x${stat.frameHeight}`;
+        summary.fps = typeof stat.framesPerSecond === 'number' ? Math.round(stat.framesPerSecond) : null;
+      }
+    } else if (stat.type === 'outbound-rtp') {
+      summary.bytesSent += stat.bytesSent || 0;
+    }
+  });
+
+  const pair = findSelectedPair(report);
+  if (pair) {
+    if (typeof pair.currentRoundTripTime === 'number') {
+      summary.rtt = Math.round(pair.currentRoundTripTime * 1000);
+    }
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    // "relay" on either side means media goes through TURN
+    summary.candidateType = local && remote ? `${local.candidateType}/${remote.candidateType}` : null;
+  }
+
+  if (previous) {
+    const seconds = (summary.timestamp - previous.timestamp) / 1000;
+    if (seconds > 0) {
+      summary.bitrateIn = Math.max(0, Math.round(((summary.bytesReceived - previous.bytesReceived) * 8) / seconds / 1000));
+      summary.bitrateOut = Math.max(0, Math.round(((summary.bytesSent - previous.bytesSent) * 8) / seconds / 1000));
+    }
+
+    const lost = summary.packetsLost - previous.packetsLost;
+    const expected = lost + summary.packetsReceived - previous.packetsReceived;
+    summary.packetLoss = expected > 0 ? Math.round((Math.max(lost, 0) / expected) * 1000) / 10 : 0;
+  }
+
+  return summary;
+};
+
+// 1 (bad) to 5 (excellent) from round-trip time, loss and jitter; null until there is data
+export const scoreQuality = ({ rtt, packetLoss, jitter } = {}) => {
+  if (rtt === null && packetLoss === null) return null;
+
+  let score = 5;
+  if (rtt > 150) score -= 1;
+  if (rtt > 300) score -= 1;
+  if (packetLoss > 1) score -= 1;
+  if (packetLoss > 5) score -= 1;
+  if (packetLoss > 10) score -= 1;
+  if (jitter > 30) score -= 1;
+  return Math.max(score, 1);
+};
+
+// The call is only as good as its worst connection
+export const overallQuality = (statsByPeer) => {
+  const scores = Object.values(statsByPeer).map(stats => stats.score).filter(score => score !== null);
+  return scores.length > 0 ? Math.min(...scores) : null;
+};
+
+const average = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 10) / 10;
+};
+
+// Collapse one peer's samples from the last upload interval into a telemetry summary
+export const summarizeWindow = (samples) => {
+  const last = samples[samples.length - 1];
+  const scores = samples.map(sample => sample.score).filter(score => score !== null);
+  return {
+    samples: samples.length,
+    rtt: average(samples.map(sample => sample.rtt)),
+    jitter: average(samples.map(sample => sample.jitter)),
+    packetLoss: average(samples.map(sample => sample.packetLoss)),
+    bitrateIn: average(samples.map(sample => sample.bitrateIn)),
+    bitrateOut: average(samples.map(sample => sample.bitrateOut)),
+    score: scores.length > 0 ? Math.min(...scores) : null,
+    resolution: last.resolution,
+    fps: last.fps,
+    candidateType: last.candidateType
+  };
+};
@@ -0,0 +1,100 @@
+// Opt-in end-to-end encryption of call media.
+// Every audio and video frame is encrypted in a worker (see e2ee.worker.js) with an AES-GCM key
+// derived from a passphrase the participants agree on out of band; it never reaches the server,
+// so TURN relays only ever carry ciphertext. The file-transfer data channel is not covered.
+
+const PBKDF2_ITERATIONS = 200000;
+const SALT_PREFIX = 'videocall-e2ee:';
+// Safety number: 6 groups of 5 digits
+const SAFETY_NUMBER_GROUPS = 6;
+
+const encoder = new TextEncoder();
+
+const supportsScriptTransform = () => typeof window.RTCRtpScriptTransform === 'function';
+
+const supportsEncodedStreams = () =>
+  typeof RTCRtpSender !== 'undefined' && 'createEncodedStreams' in RTCRtpSender.prototype;
+
+export const isE2eeSupported = () =>
+  Boolean(window.crypto?.subtle) && typeof Worker !== 'undefined' && (supportsScriptTransform() || supportsEncodedStreams());
+
+// Older Chrome only exposes encoded streams on connections created with this flag
+export const buildE2eeRtcConfiguration = () => (supportsScriptTransform() ? {} : { encodedInsertableStreams: true });
+
+// The worker leaves a VP8 payload header in the clear; other codecs' packetizers would choke on encrypted payloads
+export const preferE2eeCodecs = (pc) => {
+  const codecs = RTCRtpReceiver.getCapabilities?.('video')?.codecs;
+  if (!codecs) return;
+
+  const vp8 = codecs.filter(codec => codec.mimeType.toLowerCase() === 'video/vp8');
+  if (vp8.length === 0) return;
+  pc.getTransceivers()
+    .filter(transceiver => transceiver.receiver.track?.kind === 'video' && typeof transceiver.setCodecPreferences === 'function')
+    .forEach(transceiver => transceiver.setCodecPreferences([...vp8, ...codecs.filter(codec => !vp8.includes(codec))]));
+};
+
+const formatSafetyNumber = (digest) => {
+  const view = new DataView(digest);
+  return Array.from({ length: SAFETY_NUMBER_GROUPS }, (_, index) =>
+    String(view.getUint32(index * 4) % 100000).padStart(5, '0')).join(' ');
+};
+
+/**
+ * Derive the media key and its safety number from the shared passphrase.
+ * The room ID salts the derivation, so one passphrase gives a different key in every room.
+ * Everyone with the same key sees the same safety number; the number does not reveal the key.
+ */
+export const deriveE2eeKey = async (passphrase, roomId) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`${SALT_PREFIX}${roomId}`), iterations: PBKDF2_ITERATIONS },
+    material,
+    256
+  );
+  const key = await crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+  const label = encoder.encode('safety-number:');
+  const fingerprintInput = new Uint8Array(label.length + bits.byteLength);
+  fingerprintInput.set(label);
+  fingerprintInput.set(new Uint8Array(bits), label.length);
+  const safetyNumber = formatSafetyNumber(await crypto.subtle.digest('SHA-256', fingerprintInput));
+
+  return { key, safetyNumber };
+};
+
+/**
+ * One worker encrypting for every sender and decrypting for every receiver.
+ * onDecryptStatus(peerId, failing) fires when a peer's frames start or stop failing to decrypt.
+ * Returns { setKey, attachSender, attachReceiver, stop }.
+ */
+export const createE2eeSession = ({ onDecryptStatus }) => {
+  const worker = new Worker(new URL('./e2ee.worker.js', import.meta.url), { type: 'module' });
+  // A sender or receiver can only be given one transform
+  const attached = new WeakSet();
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'decryptStatus') {
+      onDecryptStatus(data.peerId, data.failing);
+    }
+  };
+
+  const attach = (senderOrReceiver, options) => {
+    if (attached.has(senderOrReceiver)) return;
+    attached.add(senderOrReceiver);
+
+    if (supportsScriptTransform()) {
+      senderOrReceiver.transform = new window.RTCRtpScriptTransform(worker, options);
+    } else {
+      const { readable, writable } = senderOrReceiver.createEncodedStreams();
+      worker.postMessage({ type: 'attach', ...options, readable, writable }, [readable, writable]);
+    }
+  };
+
+  return {
+    // CryptoKeys can be posted to a worker without exposing the raw key
+    setKey: (key) => worker.postMessage({ type: 'setKey', key }),
+    attachSender: (sender) => attach(sender, { operation: 'encrypt' }),
+    attachReceiver: (receiver, peerId) => attach(receiver, { operation: 'decrypt', peerId }),
+    stop: () => worker.terminate()
+  };
+};
@@ -0,0 +1,108 @@
+// Encrypts outgoing and decrypts incoming encoded media frames with AES-GCM.
+// Frames arrive through RTCRtpScriptTransform, or as transferred encoded streams in older Chrome.
+//
+// Encrypted frame: [clear header][ciphertext + GCM tag][12-byte IV]
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let key = null;
+// peerId -> true while their frames fail to decrypt
+const failing = new Map();
+
+// The first bytes stay readable so the packetizer and decoder can still parse the frame:
+// the VP8 payload header (10 bytes on key frames, 3 on delta frames) or the Opus TOC byte.
+// Audio frames have no type.
+const clearLength = (frame) => {
+  if (frame.type === 'key') return 10;
+  if (frame.type === 'delta') return 3;
+  return 1;
+};
+
+// Only changes are reported, not every frame
+const reportDecrypt = (peerId, ok) => {
+  if (Boolean(failing.get(peerId)) === !ok) return;
+  failing.set(peerId, !ok);
+  self.postMessage({ type: 'decryptStatus', peerId, failing: !ok });
+};
+
+const encryptFrame = async (frame, controller) => {
+  // Without a key nothing is sent, rather than sending media in the clear
+  if (!key) return;
+
+  const data = new Uint8Array(frame.data);
+  const offset = Math.min(clearLength(frame), data.length);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: data.subarray(0, offset) },
+    key,
+    data.subarray(offset)
+  ));
+
+  const output = new Uint8Array(offset + ciphertext.length + IV_LENGTH);
+  output.set(data.subarray(0, offset));
+  output.set(ciphertext, offset);
+  output.set(iv, offset + ciphertext.length);
+  frame.data = output.buffer;
+  controller.enqueue(frame);
+};
+
+const decryptFrame = async (frame, controller, peerId) => {
+  if (!key) return;
+
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+
+  const offset = clearLength(frame);
+  if (data.length < offset + TAG_LENGTH + IV_LENGTH) {
+    reportDecrypt(peerId, false);
+    return;
+  }
+
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(data.length - IV_LENGTH), additionalData: data.subarray(0, offset) },
+      key,
+      data.subarray(offset, data.length - IV_LENGTH)
+    ));
+    const output = new Uint8Array(offset + plaintext.length);
+    output.set(data.subarray(0, offset));
+    output.set(plaintext, offset);
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+    reportDecrypt(peerId, true);
+  } catch {
+    // Wrong passphrase, or the peer is not encrypting: drop the frame
+    reportDecrypt(peerId, false);
+  }
+};
+
+const attach = ({ operation, peerId }, readable, writable) => {
+  const transform = operation === 'encrypt'
+    ? (frame, controller) => encryptFrame(frame, controller)
+    : (frame, controller) => decryptFrame(frame, controller, peerId);
+
+  readable
+    .pipeThrough(new TransformStream({ transform }))
+    .pipeTo(writable)
+    // The streams error out when the connection closes
+    .catch(() => {});
+};
+
+// RTCRtpScriptTransform
+self.onrtctransform = ({ transformer }) => {
+  attach(transformer.options, transformer.readable, transformer.writable);
+};
+
+// Encoded streams (older Chrome) and the key
+self.onmessage = ({ data }) => {
+  if (data.type === 'setKey') {
+    key = data.key;
+    failing.clear();
+  } else if (data.type === 'attach') {
+    attach(data, data.readable, data.writable);
+  }
+};
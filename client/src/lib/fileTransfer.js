@@ -0,0 +1,291 @@
+// Chunked peer-to-peer file transfer over an RTCDataChannel.
+//
+// Control messages are JSON strings; file data travels as binary frames of
+// [uint32 transfer index][chunk bytes] so several transfers can share one channel.
+// The file bytes never touch the signaling server.
+
+export const FILE_CHANNEL_LABEL = 'file-transfer';
+// Both peers create the channel with this id, so no extra negotiation is needed
+export const FILE_CHANNEL_ID = 0;
+
+export const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100 MB, received files are held in memory
+const CHUNK_SIZE = 16 * 1024;
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 256 * 1024;
+const PROGRESS_INTERVAL = 100; // ms between progress callbacks
+const HEADER_SIZE = 4;
+const MAX_TRANSFER_INDEX = 0xFFFFFFFF; // largest index the uint32 frame header can carry
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (data) => toHex(await crypto.subtle.digest('SHA-256', data));
+
+// SHA-256 of a file, sent with the offer so the receiver can check what arrived
+export const hashFile = async (file) => sha256(await file.arrayBuffer());
+
+// Shape of a file:offer from the peer. The size limit is checked on its own so the sender learns why.
+const isValidOffer = ({ id, index, name, size, mimeType, sha256: hash }) =>
+  typeof id === 'string' && id.length > 0 && id.length <= 64 &&
+  Number.isInteger(index) && index >= 0 && index <= MAX_TRANSFER_INDEX &&
+  (name === undefined || typeof name === 'string') &&
+  Number.isInteger(size) && size >= 0 &&
+  (mimeType === undefined || typeof mimeType === 'string') &&
+  typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+
+// Resolve once the channel has drained below its low-water mark (or closed)
+const waitForDrain = (channel) => new Promise(resolve => {
+  const done = () => {
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
+
+/**
+ * Wrap a data channel with the file transfer protocol.
+ * `onUpdate` receives a snapshot of a transfer whenever its progress or status changes:
+ * { id, direction, name, size, mimeType, bytes, status, url?, error? }
+ * where status is one of 'preparing', 'transferring', 'complete' (sent), 'verified' (received
+ * and hash-checked), 'failed' or 'cancelled'.
+ */
+export const createFileTransferChannel = (channel, { onUpdate }) => {
+  const outgoing = new Map(); // id -> transfer
+  const incoming = new Map(); // index -> transfer
+  let nextIndex = 0;
+
+  channel.binaryType = 'arraybuffer';
+  channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
+
+  const snapshot = (transfer) => ({
+    id: transfer.id,
+    direction: transfer.direction,
+    name: transfer.name,
+    size: transfer.size,
+    mimeType: transfer.mimeType,
+    bytes: transfer.bytes,
+    status: transfer.status,
+    url: transfer.url,
+    error: transfer.error
+  });
+
+  const report = (transfer, force = false) => {
+    const now = Date.now();
+    if (!force && now - (transfer.lastReport || 0) < PROGRESS_INTERVAL) return;
+    transfer.lastReport = now;
+    onUpdate(snapshot(transfer));
+  };
+
+  const finish = (transfer, status, error) => {
+    transfer.status = status;
+    transfer.error = error;
+    transfer.chunks = null;
+    report(transfer, true);
+  };
+
+  const sendControl = (message) => {
+    if (channel.readyState === 'open') {
+      channel.send(JSON.stringify(message));
+    }
+  };
+
+  const findIncoming = (id) => Array.from(incoming.values()).find(transfer => transfer.id === id);
+
+  // Pass `hash` (a hashFile() promise) when sending the same file to several peers, so it is only read once
+  const sendFile = async (file, { hash: fileHash } = {}) => {
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error(`Files larger than ${MAX_FILE_SIZE / (1024 * 1024)} MB are not supported`);
+    }
+
+    const transfer = {
+      id: crypto.randomUUID(),
+      index: nextIndex++,
+      direction: 'send',
+      name: file.name,
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream',
+      bytes: 0,
+      status: 'preparing'
+    };
+    outgoing.set(transfer.id, transfer);
+    report(transfer, true);
+
+    try {
+      const hash = await (fileHash || hashFile(file));
+      if (transfer.status !== 'preparing') return;
+
+      sendControl({
+        type: 'file:offer',
+        id: transfer.id,
+        index: transfer.index,
+        name: transfer.name,
+        size: transfer.size,
+        mimeType: transfer.mimeType,
+        sha256: hash
+      });
+      transfer.status = 'transferring';
+      report(transfer, true);
+
+      while (transfer.bytes < file.size) {
+        if (transfer.status !== 'transferring') return;
+        if (channel.readyState !== 'open') {
+          finish(transfer, 'failed', 'Connection closed');
+          return;
+        }
+
+        // Backpressure: let the SCTP buffer drain before queueing more
+        if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+          await waitForDrain(channel);
+          continue;
+        }
+
+        const chunk = await file.slice(transfer.bytes, transfer.bytes + CHUNK_SIZE).arrayBuffer();
+        const frame = new Uint8Array(HEADER_SIZE + chunk.byteLength);
+        new DataView(frame.buffer).setUint32(0, transfer.index);
+        frame.set(new Uint8Array(chunk), HEADER_SIZE);
+        channel.send(frame.buffer);
+
+        transfer.bytes += chunk.byteLength;
+        report(transfer);
+      }
+
+      sendControl({ type: 'file:end', id: transfer.id });
+      finish(transfer, 'complete');
+    } catch (err) {
+      console.error('File transfer failed:', err);
+      finish(transfer, 'failed', err.message);
+    } finally {
+      outgoing.delete(transfer.id);
+    }
+  };
+
+  const handleOffer = (offer) => {
+    const { id, index, name, size, mimeType, sha256: hash } = offer;
+    // A reused index would mix the frames of two files
+    if (!isValidOffer(offer) || incoming.has(index) || findIncoming(id)) {
+      if (typeof id === 'string') sendControl({ type: 'file:cancel', id, reason: 'Invalid file offer' });
+      return;
+    }
+    if (size > MAX_FILE_SIZE) {
+      sendControl({ type: 'file:cancel', id, reason: 'File is too large' });
+      return;
+    }
+
+    const transfer = {
+      id,
+      index,
+      direction: 'receive',
+      name: name || 'file',
+      size,
+      mimeType: mimeType || 'application/octet-stream',
+      hash,
+      bytes: 0,
+      chunks: [],
+      status: 'transferring'
+    };
+    incoming.set(index, transfer);
+    report(transfer, true);
+  };
+
+  const handleEnd = async ({ id }) => {
+    const transfer = findIncoming(id);
+    if (!transfer) return;
+    incoming.delete(transfer.index);
+
+    if (transfer.bytes !== transfer.size) {
+      finish(transfer, 'failed', 'File size mismatch');
+      return;
+    }
+
+    try {
+      // Integrity check against the sender's SHA-256
+      const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+      const hash = await sha256(await blob.arrayBuffer());
+      if (hash !== transfer.hash) {
+        finish(transfer, 'failed', 'Integrity check failed');
+        return;
+      }
+
+      transfer.url = URL.createObjectURL(blob);
+      finish(transfer, 'verified');
+    } catch (err) {
+      console.error('Failed to assemble received file:', err);
+      finish(transfer, 'failed', err.message);
+    }
+  };
+
+  const handleRemoteCancel = ({ id, reason }) => {
+    const transfer = outgoing.get(id) || findIncoming(id);
+    if (!transfer) return;
+
+    if (transfer.direction === 'receive') {
+      incoming.delete(transfer.index);
+    }
+    finish(transfer, 'cancelled', reason || 'Cancelled by peer');
+  };
+
+  const handleChunk = (data) => {
+    const index = new DataView(data).getUint32(0);
+    const transfer = incoming.get(index);
+    if (!transfer) return;
+
+    transfer.chunks.push(data.slice(HEADER_SIZE));
+    transfer.bytes += data.byteLength - HEADER_SIZE;
+
+    if (transfer.bytes > transfer.size) {
+      incoming.delete(index);
+      sendControl({ type: 'file:cancel', id: transfer.id, reason: 'Received more data than announced' });
+      finish(transfer, 'failed', 'Received more data than announced');
+      return;
+    }
+    report(transfer);
+  };
+
+  channel.addEventListener('message', ({ data }) => {
+    if (typeof data !== 'string') {
+      handleChunk(data);
+      return;
+    }
+
+    try {
+      const message = JSON.parse(data);
+      if (message.type === 'file:offer') handleOffer(message);
+      else if (message.type === 'file:end') handleEnd(message);
+      else if (message.type === 'file:cancel') handleRemoteCancel(message);
+    } catch (err) {
+      console.error('Invalid file transfer message:', err);
+    }
+  });
+
+  // Anything still in flight when the channel goes away has failed
+  const failPending = (reason) => {
+    outgoing.forEach(transfer => finish(transfer, 'failed', reason));
+    incoming.forEach(transfer => finish(transfer, 'failed', reason));
+    outgoing.clear();
+    incoming.clear();
+  };
+
+  channel.addEventListener('close', () => failPending('Connection closed'));
+
+  const cancel = (id) => {
+    const transfer = outgoing.get(id) || findIncoming(id);
+    if (!transfer) return;
+
+    if (transfer.direction === 'receive') {
+      incoming.delete(transfer.index);
+    } else {
+      outgoing.delete(id);
+    }
+    sendControl({ type: 'file:cancel', id, reason: 'Cancelled by peer' });
+    finish(transfer, 'cancelled', 'Cancelled');
+  };
+
+  return {
+    sendFile,
+    cancel,
+    isOpen: () => channel.readyState === 'open',
+    close: () => failPending('Peer left the call')
+  };
+};
@@ -0,0 +1,65 @@
+// STUN/TURN servers from the signaling server, with short-lived TURN credentials
+
+const RELAY_ONLY_KEY = 'videocall:relayOnly';
+
+// Fetch new credentials this long before the current ones expire
+const REFRESH_MARGIN = 60 * 1000;
+
+// Used when the server cannot be reached
+const FALLBACK_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' },
+  { urls: 'stun:stun.stunprotocol.org:3478' }
+];
+
+let cached = null; // { iceServers, expiresAt (ms) | null }
+let inFlight = null;
+
+const isFresh = (entry) => entry && (entry.expiresAt === null || entry.expiresAt - REFRESH_MARGIN > Date.now());
+
+export const loadRelayOnly = () => localStorage.getItem(RELAY_ONLY_KEY) === 'true';
+
+export const saveRelayOnly = (relayOnly) => {
+  localStorage.setItem(RELAY_ONLY_KEY, String(relayOnly));
+};
+
+export const hasTurnServer = (iceServers) =>
+  iceServers.some(server => [].concat(server.urls).some(url => /^turns?:/.test(url)));
+
+/**
+ * Resolve the ICE servers to use for a new peer connection.
+ * Cached until shortly before the TURN credentials expire; concurrent callers share one request.
+ */
+export const getIceServers = async (serverUrl, authToken) => {
+  if (isFresh(cached)) return cached.iceServers;
+
+  if (!inFlight) {
+    inFlight = fetch(`${serverUrl}/api/ice-servers`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    })
+      .then(async (response) => {
+        if (!response.ok) throw new Error(`ICE server request failed (${response.status})`);
+        const { iceServers, expiresAt } = await response.json();
+        cached = { iceServers, expiresAt: expiresAt ? Date.parse(expiresAt) : null };
+        return iceServers;
+      })
+      .catch((err) => {
+        console.error('Failed to fetch ICE servers:', err);
+        // Expired TURN credentials are useless, so only STUN is left to fall back on
+        return FALLBACK_ICE_SERVERS;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+
+  return inFlight;
+};
+
+export const buildRtcConfiguration = (iceServers, { relayOnly = false } = {}) => ({
+  iceServers,
+  // Relay-only hides our IP addresses from peers, at the cost of routing all media through TURN
+  iceTransportPolicy: relayOnly ? 'relay' : 'all',
+  iceCandidatePoolSize: 10
+});
@@ -0,0 +1,92 @@
+// Camera / microphone / speaker selection, remembered in localStorage
+
+const DEVICE_PREFERENCES_KEY = 'videocall:devices';
+
+export const DEVICE_KINDS = ['videoinput', 'audioinput', 'audiooutput'];
+
+export const loadDevicePreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICE_PREFERENCES_KEY)) || {};
+    return {
+      videoinput: stored.videoinput || '',
+      audioinput: stored.audioinput || '',
+      audiooutput: stored.audiooutput || ''
+    };
+  } catch {
+    return { videoinput: '', audioinput: '', audiooutput: '' };
+  }
+};
+
+export const saveDevicePreferences = (preferences) => {
+  localStorage.setItem(DEVICE_PREFERENCES_KEY, JSON.stringify(preferences));
+};
+
+// `ideal` rather than `exact`, so a missing device falls back to the OS default
+export const buildMediaConstraints = ({ videoinput, audioinput } = {}) => ({
+  video: videoinput ? { deviceId: { ideal: videoinput } } : true,
+  audio: audioinput ? { deviceId: { ideal: audioinput } } : true
+});
+
+// Constraints for re-acquiring a single track of the given kind
+export const buildTrackConstraints = (kind, deviceId) => {
+  const key = kind === 'videoinput' ? 'video' : 'audio';
+  return { [key]: deviceId ? { deviceId: { exact: deviceId } } : true };
+};
+
+export const listMediaDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return DEVICE_KINDS.reduce((grouped, kind) => ({
+    ...grouped,
+    // Hide the duplicate "default"/"communications" aliases some browsers report
+    [kind]: devices.filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'communications')
+  }), {});
+};
+
+export const supportsAudioOutputSelection = () =>
+  typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+// Short tone for checking the speaker; resolves once it has played
+const TEST_TONE_FREQUENCY = 440;
+const TEST_TONE_DURATION = 1; // seconds
+const TEST_TONE_VOLUME = 0.2;
+
+/**
+ * Play the test tone through an audio element, so it can be routed to the chosen speaker
+ * where the browser supports setSinkId().
+ */
+export const playTestTone = async (sinkId) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const destination = context.createMediaStreamDestination();
+  const audio = new Audio();
+  audio.srcObject = destination.stream;
+
+  try {
+    if (sinkId && typeof audio.setSinkId === 'function') {
+      await audio.setSinkId(sinkId);
+    }
+    await context.resume();
+    await audio.play();
+
+    const gain = context.createGain();
+    const startAt = context.currentTime;
+    gain.gain.setValueAtTime(0, startAt);
+    gain.gain.linearRampToValueAtTime(TEST_TONE_VOLUME, startAt + 0.05);
+    gain.gain.setValueAtTime(TEST_TONE_VOLUME, startAt + TEST_TONE_DURATION - 0.05);
+    gain.gain.linearRampToValueAtTime(0, startAt + TEST_TONE_DURATION);
+    gain.connect(destination);
+
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = TEST_TONE_FREQUENCY;
+    oscillator.connect(gain);
+    await new Promise(resolve => {
+      oscillator.onended = resolve;
+      oscillator.start(startAt);
+      oscillator.stop(startAt + TEST_TONE_DURATION);
+    });
+  } finally {
+    audio.pause();
+    audio.srcObject = null;
+    context.close().catch(() => {});
+  }
+};
@@ -0,0 +1,50 @@
+// Ringtone synthesised with WebAudio, so there is no audio file to ship
+
+// Two-tone ring (440 + 480 Hz): two short rings, then a pause
+const RING_FREQUENCIES = [440, 480];
+const RING_DURATION = 0.4; // seconds
+const RING_GAP = 0.2; // seconds
+const RING_INTERVAL = 3000; // ms between the start of each double ring
+const RING_VOLUME = 0.15;
+
+const playTone = (context, startAt) => {
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, startAt);
+  gain.gain.linearRampToValueAtTime(RING_VOLUME, startAt + 0.02);
+  gain.gain.setValueAtTime(RING_VOLUME, startAt + RING_DURATION - 0.02);
+  gain.gain.linearRampToValueAtTime(0, startAt + RING_DURATION);
+  gain.connect(context.destination);
+
+  RING_FREQUENCIES.forEach(frequency => {
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = frequency;
+    oscillator.connect(gain);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + RING_DURATION);
+  });
+};
+
+// Start ringing until the returned function is called
+export const startRingtone = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return () => {};
+
+  const context = new AudioContextClass();
+  let timer = null;
+
+  const ring = () => {
+    const now = context.currentTime;
+    playTone(context, now);
+    playTone(context, now + RING_DURATION + RING_GAP);
+    timer = setTimeout(ring, RING_INTERVAL);
+  };
+
+  // Browsers may start the context suspended until the page has had a user gesture
+  context.resume().catch(() => {});
+  ring();
+
+  return () => {
+    clearTimeout(timer);
+    context.close().catch(() => {});
+  };
+};
@@ -0,0 +1,40 @@
+// Shareable room links and the browser history entries behind them.
+//
+//   /                      home (room setup)
+//   /room/:id?name=Alice   pre-join for that room, optionally with a display name
+//
+// The call itself gets its own history entry on the room URL ({ view: 'call' }),
+// so back and forward move between the room and the call.
+
+const ROOM_PATH = /^\/room\/([^/]+)\/?$/;
+const NAME_PARAM = 'name';
+
+export const HOME_PATH = '/';
+
+// { roomId, displayName } from the current URL; either may be null
+export const parseRoute = (location = window.location) => {
+  const match = location.pathname.match(ROOM_PATH);
+  let roomId = null;
+  try {
+    roomId = match ? decodeURIComponent(match[1]).trim() || null : null;
+  } catch {
+    // Malformed escape sequence: treat it as no room
+  }
+  const displayName = new URLSearchParams(location.search).get(NAME_PARAM)?.trim() || null;
+  return { roomId, displayName };
+};
+
+export const buildRoomPath = (roomId) => `/room/${encodeURIComponent(roomId)}`;
+
+// Absolute link to hand out; the recipient lands on the pre-join screen
+export const buildRoomLink = (roomId) => new URL(buildRoomPath(roomId), window.location.origin).toString();
+
+// Which screen a history entry stands for: 'home', 'room' or 'call'
+export const getHistoryView = (state = window.history.state, location = window.location) =>
+  state?.view || (parseRoute(location).roomId ? 'room' : 'home');
+
+export const pushHistory = (path, view) => window.history.pushState({ view }, '', path);
+
+// initial marks the entry the app was loaded on, which has no in-app entry before it
+export const replaceHistory = (path, view, { initial = false } = {}) =>
+  window.history.replaceState({ view, initial }, '', path);
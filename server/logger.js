@@ -0,0 +1,76 @@
+// Leveled logger writing one JSON object per line.
+// Fields set with withContext() (socket, event, ...) are attached to every line logged inside it, across awaits.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+// Session descriptions and ICE candidates expose IP addresses and DTLS fingerprints; secrets are never logged
+const REDACTED_KEYS = new Set([
+  'sdp', 'offer', 'answer', 'candidate', 'passphrase', 'inviteToken', 'resumeToken', 'token', 'authorization'
+]);
+const MAX_DEPTH = 6;
+
+// Catches SDP and candidate lines that turn up in unexpected places, such as error messages
+const looksLikeIceOrSdp = (value) => /(^|\n)v=0\r?\n/.test(value) || /\bcandidate:\S+ \d+ (udp|tcp)\b/i.test(value);
+
+const redact = (value, depth = 0) => {
+  if (depth > MAX_DEPTH) return '[truncated]';
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message, depth + 1), stack: value.stack };
+  }
+  if (typeof value === 'string') return looksLikeIceOrSdp(value) ? REDACTED : value;
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, REDACTED_KEYS.has(key) ? REDACTED : redact(item, depth + 1)]));
+  }
+  return value;
+};
+
+// Errors go to stderr, everything else to stdout
+const writeToConsole = (line, levelName) =>
+  (LEVELS[levelName] >= LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+
+/**
+ * level: lowest level written (debug, info, warn, error or silent)
+ * enrich: adds derived fields to every line, e.g. the room of the socket being logged about
+ * output: receives each JSON line and its level
+ */
+const createLogger = ({ level = 'info', enrich = (fields) => fields, output = writeToConsole } = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const contextStorage = new AsyncLocalStorage();
+
+  const write = (levelName, msg, fields = {}) => {
+    if (LEVELS[levelName] < threshold) return;
+
+    // The correlation fields come first so lines are easy to scan
+    const { event, socketId, roomId, callId, ...rest } = redact(enrich({ ...contextStorage.getStore(), ...fields }));
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      event,
+      socketId,
+      roomId,
+      callId,
+      ...rest
+    });
+    output(line, levelName);
+  };
+
+  return {
+    level: LEVELS[level] === undefined ? 'info' : level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+
+    // Run fn with fields attached to every line it logs, including from timers it starts
+    withContext: (fields, fn) => contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn)
+  };
+};
+
+module.exports = { createLogger };
@@ -0,0 +1,121 @@
+// Counters, gauges and histograms rendered in the Prometheus text exposition format.
+// Counters and histograms count what this process saw; with several processes, scrape each one and let
+// Prometheus sum them. Gauges that collect() from the state store report the shared figure on every process.
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+// Series are stored under their rendered label set
+const seriesKey = (labels) => formatLabels(labels);
+
+const createHistogramSeries = (buckets) => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+const observeInto = (series, buckets, value) => {
+  buckets.forEach((bound, index) => {
+    if (value <= bound) series.counts[index] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+};
+
+const createMetricsRegistry = () => {
+  const metrics = [];
+
+  const header = ({ name, help, type }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+  // Counters without labels start at 0; labelled series appear on their first inc()
+  const counter = ({ name, help, labelNames = [] }) => {
+    const series = new Map(labelNames.length === 0 ? [['', 0]] : []);
+    const metric = {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labels);
+        series.set(key, (series.get(key) || 0) + value);
+      },
+      render: async () => [
+        ...header({ name, help, type: 'counter' }),
+        ...Array.from(series, ([labels, value]) => `${name}${labels} ${formatValue(value)}`)
+      ]
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // collect() returns a number, or [{ labels, value }] for labelled series
+  const gauge = ({ name, help, collect }) => {
+    const metric = {
+      render: async () => {
+        const collected = await collect();
+        const series = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        return [
+          ...header({ name, help, type: 'gauge' }),
+          ...series.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+        ];
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // With collect(), the histogram is rebuilt from the values it returns on every scrape
+  // (a snapshot of current state) instead of accumulating observe() calls
+  const histogram = ({ name, help, buckets, labelNames = [], collect }) => {
+    const series = new Map();
+    const sortedBuckets = [...buckets].sort((a, b) => a - b);
+    if (labelNames.length === 0) {
+      series.set('', { labels: {}, ...createHistogramSeries(sortedBuckets) });
+    }
+
+    const renderSeries = (labels, { counts, sum, count }) => [
+      ...sortedBuckets.map((bound, index) =>
+        `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ];
+
+    const metric = {
+      observe(value, labels = {}) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) series.set(key, { labels, ...createHistogramSeries(sortedBuckets) });
+        observeInto(series.get(key), sortedBuckets, value);
+      },
+      render: async () => {
+        const lines = header({ name, help, type: 'histogram' });
+        if (collect) {
+          const snapshot = createHistogramSeries(sortedBuckets);
+          (await collect()).forEach(value => observeInto(snapshot, sortedBuckets, value));
+          return [...lines, ...renderSeries({}, snapshot)];
+        }
+        series.forEach(entry => lines.push(...renderSeries(entry.labels, entry)));
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    async render() {
+      const blocks = await Promise.all(metrics.map(metric => metric.render()));
+      return `${blocks.flat().join('\n')}\n`;
+    }
+  };
+};
+
+module.exports = { createMetricsRegistry };
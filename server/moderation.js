@@ -0,0 +1,18 @@
+// Who a host's "remove" keeps out of the room.
+// A JWT identity is the same user wherever they connect from. Dev identities are a fresh `dev:<uuid>` on every
+// connection, so for them the only thing that survives a rejoin is the address they connect from.
+
+// Rooms remember at most this many removals, newest kept
+const MAX_REMOVALS = 100;
+
+const getRemovalKey = ({ authMode, userId }, address) =>
+  authMode === 'jwt' ? `user:${userId}` : `address:${address}`;
+
+const isRemoved = (settings, removalKey) => (settings.removedKeys || []).includes(removalKey);
+
+// The room's removal list with one more entry, for updateRoomSettings
+const addRemoval = (settings, removalKey) => ({
+  removedKeys: [...(settings.removedKeys || []).filter(key => key !== removalKey), removalKey].slice(-MAX_REMOVALS)
+});
+
+module.exports = { getRemovalKey, isRemoved, addRemoval, MAX_REMOVALS };
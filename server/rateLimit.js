@@ -0,0 +1,87 @@
+// Token-bucket rate limiting for socket connections and events.
+// These buckets are per process: a socket only ever talks to one process, and behind a load balancer each
+// process caps the connections and events an address sends to it. Failed joins are the exception (they guard
+// room passphrases), so that bucket lives in the state store and guesses spread over processes add up.
+
+// burst = bucket size, perSecond = refill rate
+const EVENT_RATE_LIMITS = {
+  default: { burst: 20, perSecond: 5 },
+  // Trickle ICE sends a burst of candidates per connection attempt
+  'ice:candidate': { burst: 200, perSecond: 50 },
+  'outgoing:call': { burst: 20, perSecond: 2 },
+  'call:accepted': { burst: 20, perSecond: 2 },
+  'chat:message': { burst: 10, perSecond: 1 },
+  'invite:create': { burst: 5, perSecond: 0.1 },
+  'room:join': { burst: 5, perSecond: 0.2 }
+};
+
+// Shared by every socket from the same address, so reconnecting does not refill them
+const IP_RATE_LIMITS = {
+  connection: { burst: 20, perSecond: 0.5 },
+  events: { burst: 500, perSecond: 100 },
+  // Caps how fast one address can probe for room IDs
+  'room:join': { burst: 20, perSecond: 0.2 },
+  // Wrong passphrases and invalid invites; refills one attempt per minute
+  'room:join:failed': { burst: 10, perSecond: 1 / 60 }
+};
+
+// Rejected events a socket may send before it is disconnected
+const VIOLATION_LIMIT = { burst: 10, perSecond: 0.1 };
+
+const createRateLimiter = ({ maxKeys = 100000 } = {}) => {
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.perSecond);
+    bucket.updatedAt = now;
+  };
+
+  const getBucket = (key, { burst, perSecond }) => {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      // Under a flood of new keys, forget the oldest bucket rather than grow without bound
+      if (buckets.size >= maxKeys) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      bucket = { tokens: burst, burst, perSecond, updatedAt: Date.now() };
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  };
+
+  return {
+    // Take one token; false means the limit is exhausted
+    take(key, limit) {
+      const bucket = getBucket(key, limit);
+      refill(bucket, Date.now());
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    },
+
+    // Whether a token is available, without taking it
+    peek(key) {
+      const bucket = buckets.get(key);
+      if (!bucket) return true;
+      refill(bucket, Date.now());
+      return bucket.tokens >= 1;
+    },
+
+    // Drop buckets that have refilled completely; returns how many were removed
+    prune() {
+      const now = Date.now();
+      let removed = 0;
+      buckets.forEach((bucket, key) => {
+        refill(bucket, now);
+        if (bucket.tokens >= bucket.burst) {
+          buckets.delete(key);
+          removed++;
+        }
+      });
+      return removed;
+    }
+  };
+};
+
+module.exports = { createRateLimiter, EVENT_RATE_LIMITS, IP_RATE_LIMITS, VIOLATION_LIMIT };
@@ -3,6 +3,16 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createStateStore } = require('./state');
+const { createTelemetryAggregator, isValidSummaryList } = require('./telemetry');
+const { validatePayload, MAX_SIGNALING_PAYLOAD_BYTES } = require('./validation');
+const { createRateLimiter, EVENT_RATE_LIMITS, IP_RATE_LIMITS, VIOLATION_LIMIT } = require('./rateLimit');
+const { createMetricsRegistry } = require('./metrics');
+const { createLogger } = require('./logger');
+const { createWebhookDispatcher, WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhooks');
+const { getRemovalKey, isRemoved, addRemoval } = require('./moderation');
 
 const app = express();
 const server = createServer(app);
@@ -11,6 +21,47 @@ const server = createServer(app);
 const PORT = process.env.PORT || 3001;
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const MAX_ROOM_CAPACITY = parseInt(process.env.MAX_ROOM_CAPACITY, 10) || 8;
+const DEFAULT_ROOM_CAPACITY = Math.min(parseInt(process.env.DEFAULT_ROOM_CAPACITY, 10) || 4, MAX_ROOM_CAPACITY);
+// Without a configured secret, invite tokens only survive until the next restart
+const INVITE_TOKEN_SECRET = process.env.INVITE_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const INVITE_TOKEN_TTL = parseInt(process.env.INVITE_TOKEN_TTL, 10) || 60 * 60; // seconds
+const MAX_INVITE_TOKEN_TTL = 24 * 60 * 60; // seconds
+const JWT_SECRET = process.env.JWT_SECRET;
+// 'jwt' verifies a signed token in the handshake; 'dev' trusts the name the client sends
+const AUTH_MODE = process.env.AUTH_MODE || (JWT_SECRET ? 'jwt' : 'dev');
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 100;
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+// How long a dropped client may take to reconnect and resume its room membership
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30; // seconds
+// How long someone may wait in a room's lobby before the request times out
+const LOBBY_TIMEOUT = parseInt(process.env.LOBBY_TIMEOUT, 10) || 120; // seconds
+// How long a new call rings before it counts as unanswered
+const RING_TIMEOUT = parseInt(process.env.RING_TIMEOUT, 10) || 30; // seconds
+// STUN/TURN servers handed to clients; TURN_SECRET is coturn's static-auth-secret (REST API auth)
+const STUN_URLS = (process.env.STUN_URLS || 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302')
+  .split(',').map(url => url.trim()).filter(Boolean);
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET;
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL, 10) || 60 * 60; // seconds
+// Bearer token for operator-only routes; those routes are disabled when it is unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const MAX_NOTICE_LENGTH = 500;
+const NOTICE_LEVELS = ['info', 'warning'];
+// Set when running behind a reverse proxy, so per-address rate limits use X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// When set, /metrics requires this bearer token; otherwise it is open like /health
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// Room and call lifecycle webhooks; deliveries are signed with WEBHOOK_SECRET and not sent without it
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// Comma-separated subset of WEBHOOK_EVENTS to send; all of them by default
+const WEBHOOK_EVENT_FILTER = process.env.WEBHOOK_EVENTS
+  ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(event => WEBHOOK_EVENTS.includes(event))
+  : WEBHOOK_EVENTS;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5; // seconds
+const MAX_WEBHOOK_LOG_PAGE = 200;
 
 // Configure CORS
 app.use(cors({
@@ -31,6 +82,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+    res.status(401).json({ error: 'Invalid metrics token' });
+    return;
+  }
+
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (error) {
+    logger.error('METRICS_FAILED', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
 // Socket.io setup with enhanced configuration
 const io = new Server(server, {
   cors: {
@@ -39,83 +105,1131 @@ const io = new Server(server, {
   },
   pingTimeout: 60000,
   pingInterval: 25000,
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  // Larger messages are refused before they reach the per-event size checks
+  maxHttpBufferSize: MAX_SIGNALING_PAYLOAD_BYTES * 2
 });
 
-// Data structures for room and user management
-const rooms = new Map();
-const socketToRoom = new Map();
-const userProfiles = new Map();
+// Identity helpers
+const MAX_DISPLAY_NAME_LENGTH = 50;
+
+const sanitizeDisplayName = (name) => {
+  if (typeof name !== 'string') return null;
+  const clean = name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+  return clean.length > 0 ? clean : null;
+};
+
+const sanitizeAvatarUrl = (url) => {
+  if (typeof url !== 'string' || url.length > 500) return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+// Resolve the caller's identity from the socket.io handshake
+const authenticateHandshake = (auth = {}) => {
+  if (AUTH_MODE === 'jwt') {
+    if (!JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+    if (typeof auth.token !== 'string') throw new Error('Missing auth token');
+
+    const claims = jwt.verify(auth.token, JWT_SECRET, { algorithms: ['HS256'] });
+    if (!claims.sub) throw new Error('Auth token has no subject');
+
+    return {
+      userId: String(claims.sub),
+      displayName: sanitizeDisplayName(claims.name) || `User ${String(claims.sub).substring(0, 8)}`,
+      avatarUrl: sanitizeAvatarUrl(claims.picture),
+      authMode: 'jwt'
+    };
+  }
+
+  // Local development stand-in: no verification, just a client-chosen name
+  return {
+    userId: `dev:${crypto.randomUUID()}`,
+    displayName: sanitizeDisplayName(auth.displayName) || 'Guest',
+    avatarUrl: sanitizeAvatarUrl(auth.avatarUrl),
+    authMode: 'dev'
+  };
+};
+
+// Identify a REST caller from "Authorization: Bearer <jwt>", the same way sockets are identified
+const authenticateRequest = (req) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return authenticateHandshake(scheme === 'Bearer' ? { token } : {});
+};
+
+// Time-limited TURN credentials in the coturn REST API format:
+// username "<expiry unix time>:<user>", credential base64(HMAC-SHA1(secret, username))
+const createTurnCredentials = (userId, ttlSeconds) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, expiresAt: new Date(expiresAt * 1000).toISOString() };
+};
+
+// ICE servers for the client's RTCPeerConnection; fetched again before credentials expire
+app.get('/api/ice-servers', (req, res) => {
+  let identity;
+  try {
+    identity = authenticateRequest(req);
+  } catch {
+    res.status(401).json({ error: 'Authentication required' });
+    return;
+  }
+
+  const iceServers = STUN_URLS.length > 0 ? [{ urls: STUN_URLS }] : [];
+  let expiresAt = null;
+
+  if (TURN_URLS.length > 0 && TURN_SECRET) {
+    const turn = createTurnCredentials(identity.userId, TURN_CREDENTIAL_TTL);
+    iceServers.push({ urls: TURN_URLS, username: turn.username, credential: turn.credential });
+    expiresAt = turn.expiresAt;
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.json({ iceServers, ttl: expiresAt ? TURN_CREDENTIAL_TTL : null, expiresAt });
+});
+
+// Room, profile, chat and session state (in memory, or shared through Redis)
+const store = createStateStore(io);
+const telemetry = createTelemetryAggregator(store);
+const rateLimiter = createRateLimiter();
+
+// Prometheus metrics (see /metrics)
+const metrics = createMetricsRegistry();
+metrics.gauge({
+  name: 'videocall_active_sockets',
+  help: 'Sockets connected to this server process',
+  collect: () => io.of('/').sockets.size
+});
+metrics.gauge({
+  name: 'videocall_active_rooms',
+  help: 'Rooms that currently exist',
+  collect: async () => (await store.listRooms()).length
+});
+metrics.histogram({
+  name: 'videocall_room_size',
+  help: 'Participants per room, over the rooms that currently exist',
+  buckets: Array.from({ length: MAX_ROOM_CAPACITY }, (_, i) => i + 1),
+  collect: async () => Promise.all((await store.listRooms()).map(async roomId => (await store.getRoomMembers(roomId)).length))
+});
+const socketEventsTotal = metrics.counter({
+  name: 'videocall_socket_events_total',
+  help: 'Socket events received, by event',
+  labelNames: ['event']
+});
+const socketEventErrorsTotal = metrics.counter({
+  name: 'videocall_socket_event_errors_total',
+  help: 'Errors reported to clients, by the event being handled',
+  labelNames: ['event']
+});
+const roomJoinsTotal = metrics.counter({
+  name: 'videocall_room_joins_total',
+  help: 'Participants seated in a room'
+});
+const roomFullTotal = metrics.counter({
+  name: 'videocall_room_full_total',
+  help: 'Join attempts turned away because the room was full'
+});
+const callSetupSeconds = metrics.histogram({
+  name: 'videocall_call_setup_seconds',
+  help: 'Time from outgoing:call to the matching call:accepted, ringing included for calls that ring',
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+const callAnswerSeconds = metrics.histogram({
+  name: 'videocall_call_answer_seconds',
+  help: 'Time from ringing to the callee picking up',
+  buckets: [1, 2.5, 5, 10, 15, 20, 30, 45, 60]
+});
+const callOutcomesTotal = metrics.counter({
+  name: 'videocall_call_outcomes_total',
+  help: 'Rung calls, by how they ended (answered, declined, no_answer, cancelled)',
+  labelNames: ['outcome']
+});
+const disconnectsTotal = metrics.counter({
+  name: 'videocall_disconnects_total',
+  help: 'Socket disconnects, by reason',
+  labelNames: ['reason']
+});
+const cleanupRunsTotal = metrics.counter({
+  name: 'videocall_cleanup_runs_total',
+  help: 'Cleanup sweeps, by result',
+  labelNames: ['result']
+});
+const cleanupRemovedTotal = metrics.counter({
+  name: 'videocall_cleanup_removed_total',
+  help: 'Items removed by cleanup sweeps, by kind',
+  labelNames: ['kind']
+});
+const webhookDeliveriesTotal = metrics.counter({
+  name: 'videocall_webhook_deliveries_total',
+  help: 'Finished webhook deliveries, by result (delivered, failed)',
+  labelNames: ['result']
+});
+let lastCleanupAt = 0;
+metrics.gauge({
+  name: 'videocall_cleanup_last_run_timestamp_seconds',
+  help: 'When the last cleanup sweep finished',
+  collect: () => lastCleanupAt
+});
+
+// When each offer was relayed, keyed "callerId:calleeId", to time call setup.
+// Only calls whose caller and callee are connected to this process are measured.
+const pendingCalls = new Map();
+const PENDING_CALL_MAX_AGE = 5 * 60 * 1000;
+
+// Grace timers cannot be shared, so each process tracks the ones it started
+const graceTimers = new Map();
+// Lobby request timeouts started on this process, keyed "<roomId>:<participantId>"
+const lobbyTimers = new Map();
+// Ring timeouts started on this process, keyed by call key
+const ringTimers = new Map();
+// Last known room per participant on this process, only used for log lines
+const logRooms = new Map();
+// Call correlation ID per pair of participants, from outgoing:call until call:ended (calls relayed by this process)
+const callIds = new Map();
+// Calls are stored under the pair of participants, whoever called
+const callKey = (participantA, participantB) => [participantA, participantB].sort().join(':');
+
+// JSON-lines logger; set LOG_LEVEL to debug, info, warn, error or silent
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  // Lines about a participant carry the room they are in
+  enrich: (fields) => (fields.roomId || !fields.socketId ? fields : { ...fields, roomId: logRooms.get(fields.socketId) })
+});
+
+const webhooks = createWebhookDispatcher({
+  urls: WEBHOOK_SECRET ? WEBHOOK_URLS : [],
+  secret: WEBHOOK_SECRET,
+  events: WEBHOOK_EVENT_FILTER,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  timeoutMs: WEBHOOK_TIMEOUT * 1000,
+  logger,
+  onResult: (result) => webhookDeliveriesTotal.inc({ result })
+});
 
 // Utility functions
-const getRoomInfo = (roomId) => {
-  const room = rooms.get(roomId);
-  if (!room) return null;
-  
+const getPublicProfile = (profile) => ({
+  userId: profile?.userId || null,
+  displayName: profile?.displayName || 'Guest',
+  avatarUrl: profile?.avatarUrl || null
+});
+
+const getRoomInfo = async (roomId) => {
+  const settings = await store.getRoomSettings(roomId);
+  if (!settings) return null;
+
+  const members = await store.getRoomMembers(roomId);
+  const profiles = await store.getProfiles(members);
+
   return {
     roomId,
-    users: Array.from(room).map(socketId => ({
+    users: members.map((socketId, index) => ({
       socketId,
-      profile: userProfiles.get(socketId) || {}
+      profile: profiles[index] || {}
     })),
-    userCount: room.size
+    userCount: members.length,
+    capacity: settings.capacity || DEFAULT_ROOM_CAPACITY,
+    createdBy: settings.createdBy || null,
+    hostId: settings.hostId || null,
+    waitingRoom: Boolean(settings.waitingRoom),
+    locked: Boolean(settings.locked),
+    isProtected: isRoomProtected(settings)
+  };
+};
+
+// Send an event to every room member, optionally skipping one participant
+const emitToRoom = async (roomId, event, payload, exceptId = null) => {
+  const members = await store.getRoomMembers(roomId);
+  members.filter(id => id !== exceptId).forEach(memberId => {
+    io.to(memberId).emit(event, payload);
+  });
+  return members;
+};
+
+// Passphrases are stored as salted scrypt hashes, never in plain text
+const hashPassphrase = (passphrase, salt = crypto.randomBytes(16).toString('hex')) => ({
+  salt,
+  hash: crypto.scryptSync(passphrase, salt, 64).toString('hex')
+});
+
+const verifyPassphrase = (passphrase, { salt, hash }) => {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) return false;
+  const candidate = Buffer.from(hashPassphrase(passphrase, salt).hash, 'hex');
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// Invite tokens are "<base64url payload>.<base64url HMAC-SHA256>"
+const signInviteToken = (roomId, ttlSeconds) => {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const payload = Buffer.from(JSON.stringify({ roomId, exp: expiresAt })).toString('base64url');
+  const signature = crypto.createHmac('sha256', INVITE_TOKEN_SECRET).update(payload).digest('base64url');
+  return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+const verifyInviteToken = (token, roomId) => {
+  if (typeof token !== 'string') return false;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', INVITE_TOKEN_SECRET).update(payload).digest();
+  const provided = Buffer.from(signature, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return false;
+  }
+
+  try {
+    const { roomId: tokenRoomId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return tokenRoomId === roomId && typeof exp === 'number' && exp > Date.now();
+  } catch {
+    return false;
+  }
+};
+
+const isRoomProtected = (settings) => Boolean(settings && (settings.passphrase || settings.inviteOnly));
+
+// Check a join attempt against the room's passphrase / invite requirements
+const checkRoomAccess = (roomId, settings, { passphrase, inviteToken }) => {
+  if (!isRoomProtected(settings)) return { allowed: true };
+
+  if (inviteToken && verifyInviteToken(inviteToken, roomId)) {
+    return { allowed: true };
+  }
+
+  if (settings.passphrase && verifyPassphrase(passphrase, settings.passphrase)) {
+    return { allowed: true };
+  }
+
+  if (inviteToken) {
+    return { allowed: false, reason: 'invalid_invite', message: 'Invite is invalid or has expired' };
+  }
+
+  if (!settings.passphrase) {
+    return { allowed: false, reason: 'invite_required', message: 'This room is invite-only' };
+  }
+
+  return passphrase
+    ? { allowed: false, reason: 'invalid_passphrase', message: 'Incorrect room passphrase' }
+    : { allowed: false, reason: 'passphrase_required', message: 'This room requires a passphrase' };
+};
+
+// Clamp the capacity requested by a room creator to the supported range
+const normalizeCapacity = (capacity) => {
+  const value = parseInt(capacity, 10);
+  if (!Number.isFinite(value)) return DEFAULT_ROOM_CAPACITY;
+  return Math.min(Math.max(value, 2), MAX_ROOM_CAPACITY);
+};
+
+// Why a join or lobby request was turned down, as shown to the person asking
+const JOIN_DENIAL_MESSAGES = {
+  denied: 'The host declined your request to join',
+  locked: 'The host has locked this room',
+  removed: 'The host removed you from this room',
+  timeout: 'Nobody let you in before the request timed out. Try joining again.',
+  room_full: 'The room filled up before you were let in',
+  room_closed: 'The room was closed before you were let in',
+  left: 'You left the waiting room'
+};
+
+const clearLobbyTimer = (roomId, participantId) => {
+  const key = `${roomId}:${participantId}`;
+  clearTimeout(lobbyTimers.get(key));
+  lobbyTimers.delete(key);
+};
+
+// Take someone out of a lobby without admitting them; the host's list is updated too
+const rejectFromLobby = async (roomId, participantId, outcome) => {
+  if (!(await store.removeLobbyEntry(roomId, participantId))) return false;
+
+  clearLobbyTimer(roomId, participantId);
+  await store.updateProfile(participantId, { waitingRoom: null });
+  logger.info('LOBBY_REJECTED', { socketId: participantId, roomId, outcome });
+
+  io.to(participantId).emit('room:denied', {
+    roomId,
+    reason: outcome,
+    message: JOIN_DENIAL_MESSAGES[outcome]
+  });
+
+  const settings = await store.getRoomSettings(roomId);
+  if (settings?.hostId) {
+    io.to(settings.hostId).emit('lobby:resolved', { roomId, participantId, outcome });
+  }
+  return true;
+};
+
+// Drop a participant's pending lobby request, if they have one
+const leaveLobby = async (participantId, outcome) => {
+  const profile = await store.getProfile(participantId);
+  if (profile?.waitingRoom) {
+    await rejectFromLobby(profile.waitingRoom, participantId, outcome);
+  }
+};
+
+const cleanupRoom = async (roomId) => {
+  const members = await store.getRoomMembers(roomId);
+  if (members.length === 0) {
+    // Nobody is left to let the lobby in
+    for (const entry of await store.getLobbyEntries(roomId)) {
+      await rejectFromLobby(roomId, entry.participantId, 'room_closed');
+    }
+
+    const settings = await store.getRoomSettings(roomId);
+    await store.deleteRoom(roomId);
+    logger.info('ROOM_DELETED', { roomId });
+
+    const deletedAt = new Date();
+    webhooks.emit('room.deleted', {
+      roomId,
+      createdAt: settings?.createdAt || null,
+      deletedAt: deletedAt.toISOString(),
+      durationSeconds: settings?.createdAt ? Math.round((deletedAt - new Date(settings.createdAt)) / 1000) : null
+    });
+    return true;
+  }
+  return false;
+};
+
+// Send everyone in a room back to the lobby and delete it; returns how many participants it had
+const closeRoom = async (roomId, reason) => {
+  const members = await store.getRoomMembers(roomId);
+
+  // Turn the lobby away first, so no request is handed to a new host on the way out
+  for (const entry of await store.getLobbyEntries(roomId)) {
+    await rejectFromLobby(roomId, entry.participantId, 'room_closed');
+  }
+
+  await emitToRoom(roomId, 'room:closed', {
+    roomId,
+    reason,
+    message: reason ? `This room was closed: ${reason}` : 'This room was closed by an administrator',
+    timestamp: new Date().toISOString()
+  });
+  io.in(roomId).socketsLeave(roomId);
+
+  // The last one out deletes the room; an empty room is deleted directly
+  for (const memberId of members) {
+    await leaveCurrentRoom(memberId, 'closed');
+  }
+  if (members.length === 0) {
+    await cleanupRoom(roomId);
+  }
+  return members.length;
+};
+
+// Hand the host role to the longest-present remaining member
+const transferHost = async (roomId, previousHostId) => {
+  const [nextHostId] = await store.getRoomMembers(roomId);
+  if (!nextHostId) return;
+
+  await store.updateRoomSettings(roomId, { hostId: nextHostId });
+  logger.info('HOST_CHANGED', { socketId: nextHostId, roomId, previousHostId });
+  await emitToRoom(roomId, 'room:host-changed', { roomId, hostId: nextHostId });
+
+  // The new host takes over any pending requests
+  for (const entry of await store.getLobbyEntries(roomId)) {
+    io.to(nextHostId).emit('lobby:request', { roomId, ...entry });
+  }
+};
+
+const clearRingTimer = (key) => {
+  clearTimeout(ringTimers.get(key));
+  ringTimers.delete(key);
+};
+
+// A call nobody picked up: the caller hears "no answer" and the callee sees a missed call
+const startRingTimer = (key, { callId, callerId, calleeId }) => {
+  clearRingTimer(key);
+  ringTimers.set(key, setTimeout(async () => {
+    ringTimers.delete(key);
+    try {
+      const current = await store.getCall(key);
+      if (current?.callId !== callId || !(await store.transitionCall(key, 'ringing', { state: 'unanswered' }))) return;
+      await store.deleteCall(key);
+
+      callOutcomesTotal.inc({ outcome: 'no_answer' });
+      logger.info('CALL_UNANSWERED', { socketId: callerId, callId, peerId: calleeId });
+
+      const timestamp = new Date().toISOString();
+      io.to(callerId).emit('call:declined', {
+        from: calleeId,
+        callId,
+        user: getPublicProfile(await store.getProfile(calleeId)),
+        reason: 'no_answer',
+        timestamp
+      });
+      io.to(calleeId).emit('call:missed', {
+        from: callerId,
+        callId,
+        caller: getPublicProfile(await store.getProfile(callerId)),
+        timestamp
+      });
+    } catch (error) {
+      logger.error('RING_TIMEOUT_FAILED', { callId, error });
+    }
+  }, RING_TIMEOUT * 1000));
+};
+
+// A mesh connection whose offer was never answered (the offerer had already hung up, say) is forgotten
+const startConnectTimer = (key, { callId, callerId, calleeId }) => {
+  clearRingTimer(key);
+  ringTimers.set(key, setTimeout(async () => {
+    ringTimers.delete(key);
+    try {
+      const current = await store.getCall(key);
+      if (current?.callId !== callId || current.state !== 'connecting') return;
+      await store.deleteCall(key);
+      callIds.delete(key);
+      logger.info('CALL_MESH_EXPIRED', { socketId: callerId, callId, peerId: calleeId });
+    } catch (error) {
+      logger.error('CONNECT_TIMEOUT_FAILED', { callId, error });
+    }
+  }, RING_TIMEOUT * 1000));
+};
+
+const reportCallStarted = (call, roomId) => {
+  webhooks.emit('call.started', {
+    roomId,
+    callId: call.callId,
+    callerId: call.callerId,
+    calleeId: call.calleeId,
+    ringingAt: call.startedAt,
+    answeredAt: call.answeredAt
+  });
+};
+
+// Report a connected call as ended; the compare-and-set makes sure only one server reports it
+const reportCallEnded = async (key, call, { endedBy, reason, roomId }) => {
+  if (call.state !== 'active') return;
+  const ended = await store.transitionCall(key, 'active', { state: 'ended' });
+  if (!ended) return;
+
+  const endedAt = new Date();
+  const answeredAt = new Date(call.answeredAt || call.startedAt);
+  webhooks.emit('call.ended', {
+    roomId,
+    callId: call.callId,
+    callerId: call.callerId,
+    calleeId: call.calleeId,
+    endedBy,
+    reason,
+    answeredAt: answeredAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    durationSeconds: Math.round((endedAt - answeredAt) / 1000)
+  });
+};
+
+// Group calls are a full mesh: whoever picks up also connects to everyone already talking to the caller.
+// Of each new pair, the participant with the lower ID is told to send the offer, so the two never offer at once.
+// The pair's call stays 'connecting' until that offer is answered, and is dropped if it never is.
+const connectToCall = async (joinerId, callerId, roomId) => {
+  for (const peerId of await store.getRoomMembers(roomId)) {
+    if (peerId === joinerId || peerId === callerId) continue;
+    if ((await store.getCall(callKey(callerId, peerId)))?.state !== 'active') continue;
+
+    // Already connected, or the other side of the pair got here first
+    const key = callKey(joinerId, peerId);
+    if (await store.getCall(key)) continue;
+
+    const [offererId, answererId] = [joinerId, peerId].sort();
+    const meshCall = {
+      callId: crypto.randomUUID(),
+      callerId: offererId,
+      calleeId: answererId,
+      state: 'connecting',
+      startedAt: new Date().toISOString()
+    };
+    await store.setCall(key, meshCall);
+    startConnectTimer(key, meshCall);
+    callIds.set(key, meshCall.callId);
+    logger.info('CALL_MESH_CONNECT', { socketId: offererId, callId: meshCall.callId, peerId: answererId });
+    io.to(offererId).emit('call:connect', { to: answererId, callId: meshCall.callId, timestamp: meshCall.startedAt });
+  }
+};
+
+// Forget every call (ringing or connected) a departing participant was part of
+const endCallsWith = async (participantId, roomId) => {
+  for (const call of await store.listCalls()) {
+    if (call.callerId !== participantId && call.calleeId !== participantId) continue;
+
+    const key = callKey(call.callerId, call.calleeId);
+    clearRingTimer(key);
+    await reportCallEnded(key, call, { endedBy: participantId, reason: 'left', roomId });
+    await store.deleteCall(key);
+    if (call.state === 'ringing') {
+      callOutcomesTotal.inc({ outcome: 'cancelled' });
+    }
+  }
+};
+
+// `reason` is 'left', 'removed' (by the host) or 'closed' (by an operator)
+const leaveCurrentRoom = async (socketId, reason = 'left') => {
+  const currentRoom = await store.getParticipantRoom(socketId);
+  if (!currentRoom) return null;
+
+  const userCount = await store.removeRoomMember(currentRoom, socketId);
+  logger.info('ROOM_LEFT', { socketId, roomId: currentRoom, reason });
+  webhooks.emit('user.left', {
+    roomId: currentRoom,
+    participantId: socketId,
+    userId: (await store.getProfile(socketId))?.userId || null,
+    reason,
+    userCount
+  });
+
+  // Notify other users in the room
+  await emitToRoom(currentRoom, 'user:left', {
+    socketId,
+    roomId: currentRoom,
+    userCount,
+    reason
+  });
+
+  const settings = await store.getRoomSettings(currentRoom);
+  if (userCount > 0 && settings?.hostId === socketId) {
+    await transferHost(currentRoom, socketId);
+  }
+
+  // Before the room can go away, so call.ended reaches receivers ahead of room.deleted
+  await endCallsWith(socketId, currentRoom);
+  await cleanupRoom(currentRoom);
+
+  await store.clearParticipantRoom(socketId);
+  logRooms.delete(socketId);
+  await store.updateProfile(socketId, { isScreenSharing: false, isRecording: false, currentRoom: null });
+  return currentRoom;
+};
+
+// The room a participant hosts; `settings` is null unless they are its host
+const getHostedRoom = async (participantId) => {
+  const roomId = await store.getParticipantRoom(participantId);
+  const settings = roomId ? await store.getRoomSettings(roomId) : null;
+  return { roomId, settings: settings?.hostId === participantId ? settings : null };
+};
+
+// Seat a participant and tell everyone; used for direct joins and for lobby admissions,
+// so it addresses the participant through their ID rather than a particular socket
+const admitToRoom = async (participantId, roomId) => {
+  const settings = await store.getRoomSettings(roomId);
+  if (!settings) return { joined: false, reason: 'room_closed' };
+
+  // Take a seat atomically, so concurrent joins on different servers cannot overfill the room
+  const previousRoom = await store.getParticipantRoom(participantId);
+  const { added, size } = await store.addRoomMember(roomId, participantId, settings.capacity || DEFAULT_ROOM_CAPACITY);
+  if (!added) {
+    roomFullTotal.inc();
+    logger.info('ROOM_FULL', { socketId: participantId, roomId });
+    return { joined: false, reason: 'room_full' };
+  }
+
+  // Leave current room if any
+  if (previousRoom && previousRoom !== roomId) {
+    await leaveCurrentRoom(participantId);
+    io.in(participantId).socketsLeave(previousRoom);
+  }
+
+  // Join new room
+  io.in(participantId).socketsJoin(roomId);
+  await store.setParticipantRoom(participantId, roomId);
+  logRooms.set(participantId, roomId);
+
+  roomJoinsTotal.inc();
+  logger.info('ROOM_JOINED', { socketId: participantId, roomId, userCount: size });
+  const joinedProfile = getPublicProfile(await store.getProfile(participantId));
+  webhooks.emit('user.joined', {
+    roomId,
+    participantId,
+    userId: joinedProfile.userId,
+    displayName: joinedProfile.displayName,
+    userCount: size
+  });
+
+  // Update user activity
+  await store.updateProfile(participantId, {
+    lastActivity: new Date().toISOString(),
+    currentRoom: roomId
+  });
+
+  // Notify all users in the room about current state
+  const roomInfo = await getRoomInfo(roomId);
+  const members = roomInfo.users.map(user => user.socketId);
+  const otherUsers = members.filter(id => id !== participantId);
+  const profileOf = (id) => getPublicProfile(roomInfo.users.find(user => user.socketId === id)?.profile);
+
+  if (otherUsers.length > 0) {
+    // Notify the new user about every existing user
+    io.to(participantId).emit('user:joined', {
+      socketId: otherUsers[0],
+      user: profileOf(otherUsers[0]),
+      peers: otherUsers,
+      roomId,
+      roomInfo
+    });
+
+    // Notify existing users about new user
+    otherUsers.forEach(userId => {
+      io.to(userId).emit('user:joined', {
+        socketId: participantId,
+        user: profileOf(participantId),
+        peers: members.filter(id => id !== userId),
+        roomId,
+        roomInfo
+      });
+    });
+  }
+
+  // Send room info, chat history and (for the host) pending lobby requests to the joining user
+  io.to(participantId).emit('room:joined', {
+    roomInfo,
+    chatHistory: await store.getChatHistory(roomId),
+    lobby: roomInfo.hostId === participantId ? await store.getLobbyEntries(roomId) : []
+  });
+  return { joined: true };
+};
+
+// Look up a resumable session from the handshake; JWT users must match the original identity
+const findResumableSession = async ({ sessionId, resumeToken } = {}, identity) => {
+  if (typeof sessionId !== 'string' || typeof resumeToken !== 'string') return null;
+
+  const session = await store.getSession(sessionId);
+  if (!session) return null;
+
+  const expected = Buffer.from(session.resumeToken);
+  const provided = Buffer.from(resumeToken);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  if (identity.authMode === 'jwt' && identity.userId !== session.userId) return null;
+  return session;
+};
+
+// Constant-time comparison of the request's bearer token
+const hasBearerToken = (req, expectedToken) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const expected = Buffer.from(expectedToken);
+  const provided = Buffer.from(scheme === 'Bearer' && token ? token : '');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Only let requests carrying ADMIN_TOKEN through
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'Admin API is disabled' });
+    return;
+  }
+  if (!hasBearerToken(req, ADMIN_TOKEN)) {
+    res.status(401).json({ error: 'Invalid admin token' });
+    return;
+  }
+  next();
+};
+
+// Call-quality summaries uploaded by clients during a call
+app.post('/api/telemetry', async (req, res) => {
+  try {
+    let identity;
+    try {
+      identity = authenticateRequest(req);
+    } catch {
+      res.status(401).json({ error: 'Authentication required' });
+      return;
+    }
+
+    const { roomId, participantId, summaries } = req.body || {};
+    if (typeof roomId !== 'string' || typeof participantId !== 'string' || !isValidSummaryList(summaries)) {
+      res.status(400).json({ error: 'Invalid telemetry payload' });
+      return;
+    }
+
+    // Only accept reports from current room members (and, with JWT auth, from that member's user)
+    const [currentRoom, profile] = await Promise.all([
+      store.getParticipantRoom(participantId),
+      store.getProfile(participantId)
+    ]);
+    if (currentRoom !== roomId || !profile || (identity.authMode === 'jwt' && profile.userId !== identity.userId)) {
+      res.status(403).json({ error: 'Not a member of this room' });
+      return;
+    }
+
+    const accepted = await telemetry.record(roomId, participantId, summaries);
+    res.status(202).json({ accepted });
+
+  } catch (error) {
+    logger.error('TELEMETRY_UPLOAD_FAILED', { error });
+    res.status(500).json({ error: 'Failed to record telemetry' });
+  }
+});
+
+// Aggregated call quality per room, for diagnosing complaints after the fact
+app.get('/api/telemetry', requireAdmin, async (req, res) => {
+  try {
+    res.json({ rooms: await telemetry.listRoomReports() });
+  } catch (error) {
+    logger.error('TELEMETRY_LIST_FAILED', { error });
+    res.status(500).json({ error: 'Failed to list telemetry' });
+  }
+});
+
+app.get('/api/telemetry/:roomId', requireAdmin, async (req, res) => {
+  try {
+    const report = await telemetry.getRoomReport(req.params.roomId.toLowerCase());
+    if (!report) {
+      res.status(404).json({ error: 'No telemetry for this room' });
+      return;
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error('TELEMETRY_REPORT_FAILED', { error });
+    res.status(500).json({ error: 'Failed to load telemetry' });
+  }
+});
+
+// Operator view of live rooms and participants
+app.get('/api/admin/rooms', requireAdmin, async (req, res) => {
+  try {
+    const rooms = await Promise.all((await store.listRooms()).map(getRoomInfo));
+    res.json({ rooms: rooms.filter(Boolean) });
+  } catch (error) {
+    logger.error('ADMIN_REQUEST_FAILED', { error });
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+app.get('/api/admin/rooms/:roomId', requireAdmin, async (req, res) => {
+  try {
+    const roomId = req.params.roomId.toLowerCase();
+    const roomInfo = await getRoomInfo(roomId);
+    if (!roomInfo) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.json({ ...roomInfo, lobby: await store.getLobbyEntries(roomId) });
+  } catch (error) {
+    logger.error('ADMIN_REQUEST_FAILED', { error });
+    res.status(500).json({ error: 'Failed to load room' });
+  }
+});
+
+// Close a room for everyone in it, with an optional reason shown to its members
+app.post('/api/admin/rooms/:roomId/close', requireAdmin, async (req, res) => {
+  try {
+    const roomId = req.params.roomId.toLowerCase();
+    const { reason } = req.body || {};
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_NOTICE_LENGTH)) {
+      res.status(400).json({ error: `Reason must be a string of at most ${MAX_NOTICE_LENGTH} characters` });
+      return;
+    }
+    if (!(await store.getRoomSettings(roomId))) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+
+    const participants = await closeRoom(roomId, reason || null);
+    logger.info('ADMIN_ROOM_CLOSED', { roomId, participants, reason });
+    res.json({ roomId, closed: true, participants });
+  } catch (error) {
+    logger.error('ADMIN_REQUEST_FAILED', { error });
+    res.status(500).json({ error: 'Failed to close room' });
+  }
+});
+
+// Everything the server knows about one participant (by participant / socket ID)
+app.get('/api/admin/sockets/:socketId', requireAdmin, async (req, res) => {
+  try {
+    const { socketId } = req.params;
+    const profile = await store.getProfile(socketId);
+    if (!profile) {
+      res.status(404).json({ error: 'Socket not found' });
+      return;
+    }
+
+    const session = (await store.listSessions()).find(entry => entry.participantId === socketId);
+    const connected = (await io.in(socketId).fetchSockets()).length > 0;
+    res.json({
+      socketId,
+      roomId: await store.getParticipantRoom(socketId),
+      connected,
+      profile,
+      // The resume token is a credential, so it stays out of the response
+      session: session ? { sessionId: session.sessionId, userId: session.userId, socketId: session.socketId } : null
+    });
+  } catch (error) {
+    logger.error('ADMIN_REQUEST_FAILED', { error });
+    res.status(500).json({ error: 'Failed to load socket' });
+  }
+});
+
+// Webhook delivery log of this server process, newest first (?status=pending|delivered|failed&limit=)
+app.get('/api/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    res.status(400).json({ error: `Status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    return;
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_WEBHOOK_LOG_PAGE);
+  res.json({ enabled: webhooks.enabled, deliveries: webhooks.list({ status, limit }) });
+});
+
+app.get('/api/admin/webhooks/deliveries/:deliveryId', requireAdmin, (req, res) => {
+  const delivery = webhooks.get(req.params.deliveryId);
+  if (!delivery) {
+    res.status(404).json({ error: 'Delivery not found' });
+    return;
+  }
+  res.json(delivery);
+});
+
+// Send a logged delivery again, e.g. once a receiver that was down is back
+app.post('/api/admin/webhooks/deliveries/:deliveryId/redeliver', requireAdmin, (req, res) => {
+  const delivery = webhooks.redeliver(req.params.deliveryId);
+  if (!delivery) {
+    res.status(404).json({ error: 'Delivery not found' });
+    return;
+  }
+  logger.info('ADMIN_WEBHOOK_REDELIVERED', { deliveryId: req.params.deliveryId, newDeliveryId: delivery.id });
+  res.status(202).json(delivery);
+});
+
+// Show a notice (e.g. upcoming maintenance) to everyone connected
+app.post('/api/admin/notices', requireAdmin, (req, res) => {
+  const { message, level = 'info', startsAt } = req.body || {};
+  if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_NOTICE_LENGTH) {
+    res.status(400).json({ error: `Message must be 1-${MAX_NOTICE_LENGTH} characters` });
+    return;
+  }
+  if (!NOTICE_LEVELS.includes(level)) {
+    res.status(400).json({ error: `Level must be one of ${NOTICE_LEVELS.join(', ')}` });
+    return;
+  }
+  if (startsAt !== undefined && Number.isNaN(Date.parse(startsAt))) {
+    res.status(400).json({ error: 'startsAt must be a date' });
+    return;
+  }
+
+  const notice = {
+    id: crypto.randomUUID(),
+    message: message.trim(),
+    level,
+    startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+    timestamp: new Date().toISOString()
   };
+  io.emit('server:notice', notice);
+  logger.info('ADMIN_NOTICE_SENT', { noticeId: notice.id, level, startsAt: notice.startsAt });
+  res.status(202).json(notice);
+});
+
+// The address rate limits are applied to
+const getClientAddress = (handshake) => {
+  const forwarded = TRUST_PROXY && handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : handshake.address;
 };
 
-const cleanupRoom = (roomId) => {
-  const room = rooms.get(roomId);
-  if (room && room.size === 0) {
-    rooms.delete(roomId);
-    console.log(`🗑️  Room ${roomId} deleted`);
-    return true;
-  }
-  return false;
-};
+// Throttle new connections per address, so reconnecting does not reset the per-socket limits
+io.use((socket, next) => {
+  const address = getClientAddress(socket.handshake);
+  if (!rateLimiter.take(`ip:${address}:connection`, IP_RATE_LIMITS.connection)) {
+    logger.warn('CONNECTION_RATE_LIMITED', { socketId: socket.id, address });
+    next(new Error('Too many connections, try again later'));
+    return;
+  }
+  socket.data.address = address;
+  next();
+});
+
+// Authenticate every socket during the handshake
+io.use(async (socket, next) => {
+  try {
+    socket.data.user = authenticateHandshake(socket.handshake.auth);
+    socket.data.resumeSession = await findResumableSession(socket.handshake.auth, socket.data.user);
+    next();
+  } catch (error) {
+    logger.warn('AUTH_FAILED', { socketId: socket.id, error });
+    next(new Error('Authentication failed'));
+  }
+});
+
+// Socket connection handling
+io.on('connection', (socket) => {
+  const identity = socket.data.user;
+  const resumedSession = socket.data.resumeSession;
+
+  // A resumed socket keeps the participant ID (the original socket ID) its peers already know
+  const session = resumedSession || {
+    sessionId: crypto.randomUUID(),
+    participantId: socket.id,
+    userId: identity.userId,
+    resumeToken: crypto.randomBytes(32).toString('hex'),
+    socketId: socket.id,
+    // Kept with the session rather than the profile, which peers see (it can hold an address)
+    removalKey: getRemovalKey(identity, socket.data.address)
+  };
+  const { participantId } = session;
+  const { address } = socket.data;
+
+  // Rate limits (per socket and per address) and the payload schema, checked before an event is queued
+  const checkEvent = (event, payload) => {
+    const socketLimit = EVENT_RATE_LIMITS[event] || EVENT_RATE_LIMITS.default;
+    const withinLimits = rateLimiter.take(`socket:${socket.id}:${event}`, socketLimit)
+      && rateLimiter.take(`ip:${address}:events`, IP_RATE_LIMITS.events)
+      && (!IP_RATE_LIMITS[event] || rateLimiter.take(`ip:${address}:${event}`, IP_RATE_LIMITS[event]));
+    if (!withinLimits) {
+      return { code: 'RATE_LIMITED', message: `Too many ${event} requests, slow down` };
+    }
+    return validatePayload(event, payload);
+  };
+
+  // Tell the client what was wrong, and cut off sockets that keep at it
+  const rejectEvent = (event, violation) => {
+    logger.warn('EVENT_REJECTED', { ...logContext(event), code: violation.code, address });
+    socket.emit('error', { ...violation, event });
+
+    if (!rateLimiter.take(`socket:${socket.id}:violations`, VIOLATION_LIMIT)) {
+      logger.warn('SOCKET_DISCONNECTED', { ...logContext(event), address, reason: 'too many rejected events' });
+      socket.emit('error', {
+        code: 'TOO_MANY_VIOLATIONS',
+        message: 'Disconnected after too many invalid or excessive requests',
+        event
+      });
+      socket.disconnect(true);
+    }
+  };
+
+  // Attached to every log line written while handling an event from this socket
+  const logContext = (event) => ({ event, socketId: participantId, connectionId: socket.id });
+
+  // Errors sent to the client are counted against the event that caused them
+  let currentEvent = null;
+  socket.onAnyOutgoing((event, payload) => {
+    if (event === 'error') {
+      socketEventErrorsTotal.inc({ event: payload?.event || currentEvent || 'connection' });
+    }
+  });
+
+  // State lookups are async, so events are handled one at a time per socket
+  // to keep signaling (offer, answer, candidates) in the order it was sent
+  let eventQueue = Promise.resolve();
+  const handle = (event, handler) => {
+    socket.on(event, (...args) => {
+      socketEventsTotal.inc({ event });
+
+      const violation = event === 'disconnect' ? null : checkEvent(event, args[0]);
+      if (violation) {
+        rejectEvent(event, violation);
+        return;
+      }
+
+      eventQueue = eventQueue
+        .then(() => {
+          currentEvent = event;
+          return logger.withContext(logContext(event), () => handler(...args));
+        })
+        .catch(error => {
+          socketEventErrorsTotal.inc({ event });
+          logger.error('EVENT_FAILED', { ...logContext(event), error });
+        })
+        .finally(() => {
+          currentEvent = null;
+        });
+    });
+  };
+
+  // Route messages addressed to the participant ID to this socket
+  if (resumedSession) {
+    socket.join(participantId);
+  }
+
+  const startSession = async () => {
+    if (resumedSession) {
+      const previousSocketId = session.socketId;
+      clearTimeout(graceTimers.get(session.sessionId));
+      graceTimers.delete(session.sessionId);
+      session.socketId = socket.id;
+      await store.setSession(session.sessionId, session);
+
+      // If the old socket is still around (on any process), retire it quietly
+      io.in(previousSocketId).except(socket.id).disconnectSockets(true);
+
+      logger.info('SESSION_RESUMED', { socketId: participantId, previousConnectionId: previousSocketId });
+
+      await store.updateProfile(participantId, {
+        lastActivity: new Date().toISOString(),
+        isReconnecting: false
+      });
+
+      const roomId = await store.getParticipantRoom(participantId);
+      const roomInfo = roomId ? await getRoomInfo(roomId) : null;
+      if (roomInfo) {
+        socket.join(roomId);
+        logRooms.set(participantId, roomId);
+        await emitToRoom(roomId, 'user:reconnected', {
+          socketId: participantId,
+          roomId,
+          timestamp: new Date().toISOString()
+        }, participantId);
+      }
+
+      socket.emit('session:resumed', {
+        sessionId: session.sessionId,
+        participantId,
+        roomInfo,
+        chatHistory: roomInfo ? await store.getChatHistory(roomId) : [],
+        lobby: roomInfo?.hostId === participantId ? await store.getLobbyEntries(roomId) : []
+      });
+    } else {
+      await store.setSession(session.sessionId, session);
+      logger.info('USER_CONNECTED', { socketId: participantId, userId: identity.userId, displayName: identity.displayName });
 
-const leaveCurrentRoom = (socketId) => {
-  const currentRoom = socketToRoom.get(socketId);
-  if (!currentRoom) return null;
+      // Store basic user profile
+      await store.setProfile(participantId, {
+        userId: identity.userId,
+        displayName: identity.displayName,
+        avatarUrl: identity.avatarUrl,
+        connectedAt: new Date().toISOString(),
+        lastActivity: new Date().toISOString()
+      });
 
-  const room = rooms.get(currentRoom);
-  if (room) {
-    room.delete(socketId);
-    console.log(`👋 User ${socketId} left room ${currentRoom}`);
-    
-    // Notify other users in the room
-    Array.from(room).forEach(otherSocketId => {
-      io.to(otherSocketId).emit('user:left', { 
-        socketId,
-        roomId: currentRoom,
-        userCount: room.size
+      socket.emit('session:created', {
+        sessionId: session.sessionId,
+        resumeToken: session.resumeToken,
+        participantId,
+        gracePeriod: SESSION_GRACE_PERIOD
       });
-    });
-    
-    cleanupRoom(currentRoom);
-  }
-  
-  socketToRoom.delete(socketId);
-  return currentRoom;
-};
+    }
+  };
 
-// Enhanced logging
-const log = (event, socketId, data = {}) => {
-  const timestamp = new Date().toISOString();
-  const roomId = socketToRoom.get(socketId);
-  console.log(`[${timestamp}] ${event} | Socket: ${socketId?.substring(0, 8)} | Room: ${roomId} |`, data);
-};
+  eventQueue = logger.withContext(logContext('connection'), startSession).catch(error => {
+    logger.error('SESSION_START_FAILED', { ...logContext('connection'), error });
+    socket.emit('error', { message: 'Failed to start session' });
+  });
 
-// Socket connection handling
-io.on('connection', (socket) => {
-  log('🔗 USER_CONNECTED', socket.id);
-  
-  // Store basic user profile
-  userProfiles.set(socket.id, {
-    connectedAt: new Date().toISOString(),
-    lastActivity: new Date().toISOString()
+  // Handle profile updates (dev auth only; JWT identities come from the token)
+  handle('profile:update', async ({ displayName: newName, avatarUrl: newAvatarUrl } = {}) => {
+    try {
+      if (socket.data.user.authMode !== 'dev') {
+        socket.emit('error', { message: 'Profile is managed by your identity provider' });
+        return;
+      }
+
+      const profile = await store.getProfile(participantId);
+      if (!profile) return;
+
+      const updated = await store.updateProfile(participantId, {
+        displayName: sanitizeDisplayName(newName) || profile.displayName,
+        avatarUrl: newAvatarUrl === undefined ? profile.avatarUrl : sanitizeAvatarUrl(newAvatarUrl)
+      });
+      socket.emit('profile:updated', { profile: getPublicProfile(updated) });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to update profile' });
+    }
   });
 
   // Handle room joining with enhanced validation
-  socket.on('room:join', ({ roomId }) => {
+  handle('room:join', async ({ roomId, capacity, passphrase, inviteToken, inviteOnly, waitingRoom }) => {
     try {
       // Validate room ID
       if (!roomId || typeof roomId !== 'string' || roomId.trim().length === 0) {
@@ -123,72 +1237,372 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const cleanRoomId = roomId.trim().toLowerCase();
-      
-      // Check room capacity (limit to 2 users for 1-on-1 calls)
-      const existingRoom = rooms.get(cleanRoomId);
-      if (existingRoom && existingRoom.size >= 2 && !existingRoom.has(socket.id)) {
-        socket.emit('error', { message: 'Room is full' });
-        log('❌ ROOM_FULL', socket.id, { roomId: cleanRoomId });
+      // Too many wrong passphrases or invites from this address: stop guessing for a while
+      // Counted in the shared store, so guesses spread over several server processes still add up
+      const failedJoinKey = `ip:${address}:room:join:failed`;
+      if (!await store.peekRateLimitToken(failedJoinKey, IP_RATE_LIMITS['room:join:failed'])) {
+        socket.emit('error', { code: 'JOIN_THROTTLED', message: 'Too many failed attempts to join, try again later' });
+        logger.warn('ROOM_JOIN_THROTTLED', { socketId: participantId, address });
         return;
       }
 
-      // Leave current room if any
-      leaveCurrentRoom(socket.id);
+      const cleanRoomId = roomId.trim().toLowerCase();
 
-      // Join new room
-      socket.join(cleanRoomId);
-      socketToRoom.set(socket.id, cleanRoomId);
-      
-      if (!rooms.has(cleanRoomId)) {
-        rooms.set(cleanRoomId, new Set());
+      // Create the room if nobody has yet; whoever creates it chooses the settings and hosts it
+      const created = await store.createRoom(cleanRoomId, {
+        capacity: normalizeCapacity(capacity),
+        createdBy: participantId,
+        createdAt: new Date().toISOString(),
+        hostId: participantId,
+        waitingRoom: waitingRoom !== false,
+        passphrase: typeof passphrase === 'string' && passphrase.length > 0 ? hashPassphrase(passphrase) : null,
+        inviteOnly: Boolean(inviteOnly)
+      });
+      const settings = await store.getRoomSettings(cleanRoomId);
+      if (created) {
+        webhooks.emit('room.created', {
+          roomId: cleanRoomId,
+          hostId: participantId,
+          userId: (await store.getProfile(participantId))?.userId || null,
+          capacity: settings.capacity,
+          waitingRoom: settings.waitingRoom,
+          inviteOnly: settings.inviteOnly,
+          passphraseProtected: Boolean(settings.passphrase),
+          createdAt: settings.createdAt
+        });
       }
-      
-      const room = rooms.get(cleanRoomId);
-      room.add(socket.id);
+      const members = created ? [] : await store.getRoomMembers(cleanRoomId);
+      const isMember = members.includes(participantId);
 
-      log('🏠 ROOM_JOINED', socket.id, { roomId: cleanRoomId, userCount: room.size });
+      // Asking for a different room withdraws any pending lobby request
+      await leaveLobby(participantId, 'left');
 
-      // Update user activity
-      const profile = userProfiles.get(socket.id);
-      if (profile) {
-        profile.lastActivity = new Date().toISOString();
-        profile.currentRoom = cleanRoomId;
+      // Removed participants stay out, and a locked room takes nobody new
+      if (!created && !isMember) {
+        const denial = isRemoved(settings, session.removalKey) ? 'removed'
+          : settings.locked ? 'locked' : null;
+        if (denial) {
+          socket.emit('room:denied', { roomId: cleanRoomId, reason: denial, message: JOIN_DENIAL_MESSAGES[denial] });
+          logger.info('ROOM_JOIN_REJECTED', { socketId: participantId, roomId: cleanRoomId, reason: denial });
+          return;
+        }
       }
 
-      // Notify all users in the room about current state
-      const roomInfo = getRoomInfo(cleanRoomId);
-      const otherUsers = Array.from(room).filter(id => id !== socket.id);
-      
-      if (otherUsers.length > 0) {
-        // Notify the new user about existing users
-        socket.emit('user:joined', { 
-          socketId: otherUsers[0], 
-          roomId: cleanRoomId,
-          roomInfo 
-        });
-        
-        // Notify existing users about new user
-        otherUsers.forEach(userId => {
-          io.to(userId).emit('user:joined', { 
-            socketId: socket.id, 
+      // Check passphrase / invite before the socket is added to an existing room
+      if (!created && !isMember) {
+        const access = checkRoomAccess(cleanRoomId, settings, { passphrase, inviteToken });
+        if (!access.allowed) {
+          if (access.reason === 'invalid_passphrase' || access.reason === 'invalid_invite') {
+            await store.takeRateLimitToken(failedJoinKey, IP_RATE_LIMITS['room:join:failed']);
+          }
+          socket.emit('room:auth-required', {
             roomId: cleanRoomId,
-            roomInfo
+            reason: access.reason,
+            message: access.message
           });
-        });
+          logger.info('ROOM_ACCESS_DENIED', { socketId: participantId, roomId: cleanRoomId, reason: access.reason });
+          return;
+        }
+      }
+
+      // Rooms with a waiting room hold newcomers until the host lets them in
+      if (!created && !isMember && settings.waitingRoom && settings.hostId !== participantId) {
+        if (members.length >= (settings.capacity || DEFAULT_ROOM_CAPACITY)) {
+          socket.emit('error', { message: 'Room is full' });
+          roomFullTotal.inc();
+          logger.info('ROOM_FULL', { socketId: participantId, roomId: cleanRoomId });
+          return;
+        }
+
+        const entry = {
+          participantId,
+          user: getPublicProfile(await store.getProfile(participantId)),
+          requestedAt: new Date().toISOString()
+        };
+        await store.addLobbyEntry(cleanRoomId, participantId, entry);
+        await store.updateProfile(participantId, { waitingRoom: cleanRoomId });
+
+        lobbyTimers.set(`${cleanRoomId}:${participantId}`, setTimeout(() => {
+          lobbyTimers.delete(`${cleanRoomId}:${participantId}`);
+          rejectFromLobby(cleanRoomId, participantId, 'timeout')
+            .catch(error => logger.error('LOBBY_EXPIRY_FAILED', { roomId: cleanRoomId, error }));
+        }, LOBBY_TIMEOUT * 1000));
+
+        logger.info('LOBBY_WAITING', { socketId: participantId, roomId: cleanRoomId });
+        socket.emit('room:waiting', { roomId: cleanRoomId, timeout: LOBBY_TIMEOUT });
+        io.to(settings.hostId).emit('lobby:request', { roomId: cleanRoomId, ...entry });
+        return;
       }
 
-      // Send room info to the joining user
-      socket.emit('room:joined', { roomInfo });
+      const result = await admitToRoom(participantId, cleanRoomId);
+      if (!result.joined) {
+        socket.emit('error', { message: 'Room is full' });
+      }
 
     } catch (error) {
-      console.error('Error in room:join:', error);
+      logger.error('EVENT_FAILED', { error });
       socket.emit('error', { message: 'Failed to join room' });
     }
   });
 
+  // Handle the host letting someone in from the lobby
+  handle('lobby:admit', async ({ participantId: waitingId } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can admit participants' });
+        return;
+      }
+
+      // Already admitted, denied or gone
+      if (typeof waitingId !== 'string' || !(await store.removeLobbyEntry(roomId, waitingId))) {
+        socket.emit('lobby:resolved', { roomId, participantId: waitingId, outcome: 'gone' });
+        return;
+      }
+
+      clearLobbyTimer(roomId, waitingId);
+      await store.updateProfile(waitingId, { waitingRoom: null });
+      logger.info('LOBBY_ADMITTED', { socketId: waitingId, roomId, by: participantId });
+
+      const result = await admitToRoom(waitingId, roomId);
+      if (!result.joined) {
+        io.to(waitingId).emit('room:denied', {
+          roomId,
+          reason: result.reason,
+          message: JOIN_DENIAL_MESSAGES[result.reason]
+        });
+      }
+      socket.emit('lobby:resolved', {
+        roomId,
+        participantId: waitingId,
+        outcome: result.joined ? 'admitted' : result.reason
+      });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to admit participant' });
+    }
+  });
+
+  // Handle the host turning someone away
+  handle('lobby:deny', async ({ participantId: waitingId } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can deny participants' });
+        return;
+      }
+
+      if (typeof waitingId !== 'string' || !(await rejectFromLobby(roomId, waitingId, 'denied'))) {
+        socket.emit('lobby:resolved', { roomId, participantId: waitingId, outcome: 'gone' });
+      }
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to deny participant' });
+    }
+  });
+
+  // Handle the host removing someone from the room
+  handle('moderation:remove', async ({ participantId: targetId } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can remove participants' });
+        return;
+      }
+
+      if (typeof targetId !== 'string' || targetId === participantId ||
+          (await store.getParticipantRoom(targetId)) !== roomId) {
+        socket.emit('error', { message: 'That participant is not in this room' });
+        return;
+      }
+
+      // Keep them out if they come back as the same user (or, with dev identities, from the same address)
+      const targetSession = (await store.listSessions()).find(entry => entry.participantId === targetId);
+      if (targetSession?.removalKey) {
+        await store.updateRoomSettings(roomId, addRemoval(settings, targetSession.removalKey));
+      }
+
+      logger.info('PARTICIPANT_REMOVED', { socketId: targetId, roomId, by: participantId });
+      io.to(targetId).emit('room:removed', { roomId, message: JOIN_DENIAL_MESSAGES.removed });
+      await leaveCurrentRoom(targetId, 'removed');
+      io.in(targetId).socketsLeave(roomId);
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to remove participant' });
+    }
+  });
+
+  // Handle the host asking someone to turn off their microphone or camera
+  handle('moderation:mute-request', async ({ participantId: targetId, kind } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can ask participants to mute' });
+        return;
+      }
+
+      if (typeof targetId !== 'string' || (await store.getParticipantRoom(targetId)) !== roomId) {
+        socket.emit('error', { message: 'That participant is not in this room' });
+        return;
+      }
+
+      const mediaKind = kind === 'video' ? 'video' : 'audio';
+      logger.info('MUTE_REQUESTED', { socketId: targetId, roomId, kind: mediaKind, by: participantId });
+      io.to(targetId).emit('moderation:mute-request', { roomId, from: participantId, kind: mediaKind });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to send mute request' });
+    }
+  });
+
+  // Handle the host locking or unlocking the room to new joins
+  handle('room:lock', async ({ locked } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can lock the room' });
+        return;
+      }
+
+      await store.updateRoomSettings(roomId, { locked: Boolean(locked) });
+      logger.info(locked ? 'ROOM_LOCKED' : 'ROOM_UNLOCKED', { socketId: participantId, roomId });
+
+      await emitToRoom(roomId, 'room:locked', {
+        roomId,
+        locked: Boolean(locked),
+        by: participantId
+      });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to change room lock' });
+    }
+  });
+
+  // Handle someone giving up on waiting
+  handle('lobby:leave', async () => {
+    try {
+      await leaveLobby(participantId, 'left');
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+    }
+  });
+
+  // Handle leaving the room without disconnecting (e.g. navigating back out of it)
+  handle('room:leave', async () => {
+    try {
+      const roomId = await leaveCurrentRoom(participantId, 'left');
+      if (roomId) {
+        io.in(participantId).socketsLeave(roomId);
+      }
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to leave room' });
+    }
+  });
+
+  // Handle invite token requests (host only)
+  handle('invite:create', async ({ ttl } = {}) => {
+    try {
+      const { roomId, settings } = await getHostedRoom(participantId);
+      if (!settings) {
+        socket.emit('error', { message: 'Only the host can create invites' });
+        return;
+      }
+
+      const ttlSeconds = Math.min(Math.max(parseInt(ttl, 10) || INVITE_TOKEN_TTL, 60), MAX_INVITE_TOKEN_TTL);
+      const { token, expiresAt } = signInviteToken(roomId, ttlSeconds);
+
+      logger.info('INVITE_CREATED', { socketId: participantId, roomId, expiresAt });
+      socket.emit('invite:created', { roomId, token, expiresAt });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to create invite' });
+    }
+  });
+
+  // Handle chat messages (relayed to everyone in the room, sender included)
+  handle('chat:message', async ({ text } = {}) => {
+    try {
+      const roomId = await store.getParticipantRoom(participantId);
+      if (!roomId) {
+        socket.emit('error', { message: 'Join a room before sending messages' });
+        return;
+      }
+
+      const cleanText = typeof text === 'string' ? text.trim() : '';
+      if (cleanText.length === 0 || cleanText.length > MAX_CHAT_MESSAGE_LENGTH) {
+        socket.emit('error', { message: `Messages must be 1-${MAX_CHAT_MESSAGE_LENGTH} characters` });
+        return;
+      }
+
+      const message = {
+        id: crypto.randomUUID(),
+        roomId,
+        from: participantId,
+        sender: getPublicProfile(await store.getProfile(participantId)),
+        text: cleanText,
+        timestamp: new Date().toISOString()
+      };
+
+      await store.appendChatMessage(roomId, message, CHAT_HISTORY_LIMIT);
+      await emitToRoom(roomId, 'chat:message', message);
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  // Handle screen share start/stop so peers can label the tile
+  handle('screen:share', async ({ sharing } = {}) => {
+    try {
+      const roomId = await store.getParticipantRoom(participantId);
+      if (!roomId) return;
+
+      await store.updateProfile(participantId, { isScreenSharing: Boolean(sharing) });
+
+      logger.info(sharing ? 'SCREEN_SHARE_STARTED' : 'SCREEN_SHARE_STOPPED', { socketId: participantId });
+
+      await emitToRoom(roomId, 'screen:share', {
+        from: participantId,
+        sharing: Boolean(sharing),
+        timestamp: new Date().toISOString()
+      }, participantId);
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+    }
+  });
+
+  // Handle recording start/stop so every participant knows they are being recorded
+  handle('recording:state', async ({ recording } = {}) => {
+    try {
+      const roomId = await store.getParticipantRoom(participantId);
+      if (!roomId) return;
+
+      await store.updateProfile(participantId, { isRecording: Boolean(recording) });
+
+      logger.info(recording ? 'RECORDING_STARTED' : 'RECORDING_STOPPED', { socketId: participantId });
+
+      await emitToRoom(roomId, 'recording:state', {
+        from: participantId,
+        recording: Boolean(recording),
+        timestamp: new Date().toISOString()
+      }, participantId);
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+    }
+  });
+
   // Handle outgoing call with validation
-  socket.on('outgoing:call', ({ to, offer }) => {
+  handle('outgoing:call', async ({ to, offer }) => {
     try {
       if (!to || !offer) {
         socket.emit('error', { message: 'Invalid call parameters' });
@@ -196,185 +1610,380 @@ io.on('connection', (socket) => {
       }
 
       // Verify both users are in the same room
-      const callerRoom = socketToRoom.get(socket.id);
-      const receiverRoom = socketToRoom.get(to);
-      
+      const callerRoom = await store.getParticipantRoom(participantId);
+      const receiverRoom = await store.getParticipantRoom(to);
+
       if (!callerRoom || callerRoom !== receiverRoom) {
         socket.emit('error', { message: 'Users are not in the same room' });
         return;
       }
 
-      log('📞 OUTGOING_CALL', socket.id, { to: to.substring(0, 8) });
-      
-      socket.to(to).emit('incoming:call', { 
-        from: socket.id, 
+      // The first offer between two participants rings the callee; later ones (ICE restarts,
+      // screen sharing) renegotiate the call in progress and keep its ID
+      const key = callKey(participantId, to);
+      let call = await store.getCall(key);
+      if (!call) {
+        call = {
+          callId: crypto.randomUUID(),
+          callerId: participantId,
+          calleeId: to,
+          state: 'ringing',
+          startedAt: new Date().toISOString()
+        };
+        await store.setCall(key, call);
+        startRingTimer(key, call);
+        socket.emit('call:ringing', { to, callId: call.callId, timeout: RING_TIMEOUT });
+      } else if (call.state === 'ringing' && call.calleeId === participantId) {
+        // They called each other at the same time, so nobody needs to pick up
+        const answered = await store.transitionCall(key, 'ringing', { state: 'active', answeredAt: new Date().toISOString() });
+        clearRingTimer(key);
+        if (answered) {
+          call = answered;
+          reportCallStarted(call, callerRoom);
+        }
+      }
+      callIds.set(key, call.callId);
+
+      const ringing = call.state === 'ringing';
+      logger.info('OUTGOING_CALL', { socketId: participantId, callId: call.callId, peerId: to, ringing });
+
+      // Every offer is timed; for rung calls call_answer_seconds also has the pick-up time on its own
+      pendingCalls.set(`${participantId}:${to}`, Date.now());
+
+      socket.to(to).emit('incoming:call', {
+        from: participantId,
+        caller: getPublicProfile(await store.getProfile(participantId)),
         offer,
+        callId: call.callId,
+        ringing,
+        ringTimeout: ringing ? RING_TIMEOUT : null,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      console.error('Error in outgoing:call:', error);
+      logger.error('EVENT_FAILED', { error });
       socket.emit('error', { message: 'Failed to make call' });
     }
   });
 
   // Handle call accepted
-  socket.on('call:accepted', ({ to, answer }) => {
+  handle('call:accepted', async ({ to, answer }) => {
     try {
       if (!to || !answer) {
         socket.emit('error', { message: 'Invalid answer parameters' });
         return;
       }
 
-      log('✅ CALL_ACCEPTED', socket.id, { to: to.substring(0, 8) });
-      
-      socket.to(to).emit('call:accepted', { 
-        from: socket.id, 
+      // Answering a ringing call stops the ring timer wherever it runs
+      const key = callKey(participantId, to);
+      const answered = await store.transitionCall(key, 'ringing', { state: 'active', answeredAt: new Date().toISOString() });
+      // Or the answer to a mesh offer (see connectToCall): the pair is only connected now
+      const connected = !answered && await store.transitionCall(key, 'connecting', { state: 'active', answeredAt: new Date().toISOString() });
+      if (connected) {
+        clearRingTimer(key);
+        reportCallStarted(connected, await store.getParticipantRoom(participantId));
+      }
+
+      let answeredRoom = null;
+      if (answered) {
+        clearRingTimer(key);
+        callIds.set(key, answered.callId);
+        callOutcomesTotal.inc({ outcome: 'answered' });
+        // Stored with the call, so this works whichever process rang it
+        callAnswerSeconds.observe((Date.parse(answered.answeredAt) - Date.parse(answered.startedAt)) / 1000);
+        answeredRoom = await store.getParticipantRoom(participantId);
+        reportCallStarted(answered, answeredRoom);
+      }
+
+      logger.info('CALL_ACCEPTED', { socketId: participantId, callId: callIds.get(key), peerId: to });
+
+      const offeredAt = pendingCalls.get(`${to}:${participantId}`);
+      if (offeredAt) {
+        pendingCalls.delete(`${to}:${participantId}`);
+        callSetupSeconds.observe((Date.now() - offeredAt) / 1000);
+      }
+
+      socket.to(to).emit('call:accepted', {
+        from: participantId,
         answer,
         timestamp: new Date().toISOString()
       });
 
+      // Picking up a group call: connect to the others in it too
+      if (answered) {
+        await connectToCall(participantId, to, answeredRoom);
+      }
+
     } catch (error) {
-      console.error('Error in call:accepted:', error);
+      logger.error('EVENT_FAILED', { error });
       socket.emit('error', { message: 'Failed to accept call' });
     }
   });
 
+  // Handle the callee turning down a ringing call
+  handle('call:declined', async ({ to }) => {
+    try {
+      const key = callKey(participantId, to);
+      const call = await store.getCall(key);
+      if (!call || call.calleeId !== participantId) return;
+      if (!(await store.transitionCall(key, 'ringing', { state: 'declined' }))) return;
+
+      await store.deleteCall(key);
+      clearRingTimer(key);
+      callIds.delete(key);
+      callOutcomesTotal.inc({ outcome: 'declined' });
+      logger.info('CALL_DECLINED', { socketId: participantId, callId: call.callId, peerId: to });
+
+      socket.to(to).emit('call:declined', {
+        from: participantId,
+        callId: call.callId,
+        user: getPublicProfile(await store.getProfile(participantId)),
+        reason: 'declined',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+      socket.emit('error', { message: 'Failed to decline call' });
+    }
+  });
+
   // Handle ICE candidates with error handling
-  socket.on('ice:candidate', ({ candidate, to }) => {
+  handle('ice:candidate', ({ candidate, to }) => {
     try {
       if (!candidate || !to) {
         return; // ICE candidates can be null, so we just ignore invalid ones
       }
 
-      socket.to(to).emit('ice:candidate', { 
-        candidate, 
-        from: socket.id 
+      logger.debug('ICE_CANDIDATE', { socketId: participantId, callId: callIds.get(callKey(participantId, to)), peerId: to, candidate });
+
+      socket.to(to).emit('ice:candidate', {
+        candidate,
+        from: participantId
       });
 
     } catch (error) {
-      console.error('Error in ice:candidate:', error);
+      logger.error('EVENT_FAILED', { error });
     }
   });
 
-  // Handle call ended
-  socket.on('call:ended', ({ to }) => {
+  // Handle call ended (also cancels a call that is still ringing)
+  handle('call:ended', async ({ to }) => {
     try {
-      log('📴 CALL_ENDED', socket.id, { to: to?.substring(0, 8) });
-      
+      const key = to && callKey(participantId, to);
+      const call = to ? await store.getCall(key) : null;
+      logger.info('CALL_ENDED', { socketId: participantId, callId: call?.callId || (to && callIds.get(key)), peerId: to });
+
       if (to) {
-        socket.to(to).emit('call:ended', { 
-          from: socket.id,
+        if (call) {
+          clearRingTimer(key);
+          await reportCallEnded(key, call, {
+            endedBy: participantId,
+            reason: 'hangup',
+            roomId: await store.getParticipantRoom(participantId)
+          });
+          await store.deleteCall(key);
+          if (call.state === 'ringing') {
+            callOutcomesTotal.inc({ outcome: 'cancelled' });
+          }
+        }
+        callIds.delete(key);
+        pendingCalls.delete(`${participantId}:${to}`);
+        pendingCalls.delete(`${to}:${participantId}`);
+        socket.to(to).emit('call:ended', {
+          from: participantId,
           timestamp: new Date().toISOString()
         });
       }
 
     } catch (error) {
-      console.error('Error in call:ended:', error);
+      logger.error('EVENT_FAILED', { error });
     }
   });
 
   // Handle ping/pong for connection monitoring
-  socket.on('ping', () => {
+  handle('ping', async () => {
     socket.emit('pong');
-    
+
     // Update user activity
-    const profile = userProfiles.get(socket.id);
-    if (profile) {
-      profile.lastActivity = new Date().toISOString();
-    }
+    await store.updateProfile(participantId, { lastActivity: new Date().toISOString() });
   });
 
-  // Handle user activity updates
-  socket.on('user:activity', (data) => {
-    const profile = userProfiles.get(socket.id);
-    if (profile) {
-      profile.lastActivity = new Date().toISOString();
-      profile.activity = data;
-    }
+  // Handle user activity updates (active / idle / away)
+  handle('user:activity', async ({ status }) => {
+    await store.updateProfile(participantId, {
+      lastActivity: new Date().toISOString(),
+      activity: status
+    });
   });
 
   // Handle disconnection with comprehensive cleanup
-  socket.on('disconnect', (reason) => {
+  handle('disconnect', async (reason) => {
+    try {
+      disconnectsTotal.inc({ reason });
+
+      // The session already moved to a newer socket (possibly on another server)
+      const current = await store.getSession(session.sessionId);
+      if (!current || current.socketId !== socket.id) return;
+
+      logger.info('USER_DISCONNECTED', { socketId: participantId, reason });
+
+      // Unexpected drops get a grace period to resume; explicit disconnects leave right away
+      const roomId = await store.getParticipantRoom(participantId);
+      const isExplicit = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+      if (roomId && !isExplicit) {
+        await store.updateProfile(participantId, { isReconnecting: true });
+
+        await emitToRoom(roomId, 'user:reconnecting', {
+          socketId: participantId,
+          roomId,
+          gracePeriod: SESSION_GRACE_PERIOD,
+          timestamp: new Date().toISOString()
+        }, participantId);
+
+        graceTimers.set(session.sessionId, setTimeout(async () => {
+          graceTimers.delete(session.sessionId);
+          try {
+            // Resumed on another server while we were waiting
+            const latest = await store.getSession(session.sessionId);
+            if (!latest || latest.socketId !== socket.id) return;
+
+            logger.info('SESSION_EXPIRED', { socketId: participantId });
+            await endSession(reason);
+          } catch (error) {
+            logger.error('SESSION_EXPIRY_FAILED', { socketId: participantId, error });
+          }
+        }, SESSION_GRACE_PERIOD * 1000));
+        return;
+      }
+
+      await endSession(reason);
+
+    } catch (error) {
+      logger.error('EVENT_FAILED', { error });
+    }
+  });
+
+  // Remove the participant for good once they cannot resume anymore
+  const endSession = async (reason) => {
     try {
-      log('❌ USER_DISCONNECTED', socket.id, { reason });
-      
+      await store.deleteSession(session.sessionId);
+      await leaveLobby(participantId, 'left');
+
       // Leave current room and notify other users
-      const leftRoom = leaveCurrentRoom(socket.id);
-      
+      const leftRoom = await leaveCurrentRoom(participantId);
+
       // Clean up user profile
-      userProfiles.delete(socket.id);
-      
+      await store.deleteProfile(participantId);
+
+      // Any calls they were in are over
+      callIds.forEach((_callId, key) => {
+        if (key.split(':').includes(participantId)) callIds.delete(key);
+      });
+
       // If user was in a room, notify remaining users
       if (leftRoom) {
-        const room = rooms.get(leftRoom);
-        if (room && room.size > 0) {
-          Array.from(room).forEach(remainingSocketId => {
-            io.to(remainingSocketId).emit('user:disconnected', {
-              socketId: socket.id,
-              roomId: leftRoom,
-              reason,
-              timestamp: new Date().toISOString()
-            });
-          });
-        }
+        await emitToRoom(leftRoom, 'user:disconnected', {
+          socketId: participantId,
+          roomId: leftRoom,
+          reason,
+          timestamp: new Date().toISOString()
+        });
       }
 
     } catch (error) {
-      console.error('Error in disconnect handler:', error);
+      logger.error('SESSION_END_FAILED', { socketId: participantId, error });
     }
-  });
+  };
 
   // Handle connection errors
   socket.on('error', (error) => {
-    log('⚠️  SOCKET_ERROR', socket.id, { error: error.message });
+    logger.warn('SOCKET_ERROR', { ...logContext('error'), error });
   });
 });
 
 // Error handling middleware
 io.engine.on('connection_error', (err) => {
-  console.error('Connection error:', err.req);
-  console.error('Error code:', err.code);
-  console.error('Error message:', err.message);
-  console.error('Error context:', err.context);
+  logger.warn('CONNECTION_ERROR', { code: err.code, error: err.message, context: err.context });
 });
 
 // Periodic cleanup of inactive rooms and users
-const cleanupInterval = setInterval(() => {
-  const now = new Date();
-  const maxInactiveTime = 30 * 60 * 1000; // 30 minutes
-  
-  let cleanedUsers = 0;
-  let cleanedRooms = 0;
-  
-  // Clean up inactive users
-  userProfiles.forEach((profile, socketId) => {
-    const lastActivity = new Date(profile.lastActivity);
-    if (now - lastActivity > maxInactiveTime) {
-      userProfiles.delete(socketId);
-      leaveCurrentRoom(socketId);
-      cleanedUsers++;
+const cleanupInterval = setInterval(async () => {
+  try {
+    const now = new Date();
+    const maxInactiveTime = 30 * 60 * 1000; // 30 minutes
+
+    let cleanedUsers = 0;
+    let cleanedRooms = 0;
+    let cleanedSessions = 0;
+
+    // Clean up inactive users
+    for (const [socketId, profile] of await store.listProfiles()) {
+      const lastActivity = new Date(profile.lastActivity);
+      if (now - lastActivity > maxInactiveTime) {
+        await store.deleteProfile(socketId);
+        await leaveCurrentRoom(socketId);
+        cleanedUsers++;
+      }
     }
-  });
-  
-  // Clean up empty rooms
-  rooms.forEach((room, roomId) => {
-    if (room.size === 0) {
-      rooms.delete(roomId);
-      cleanedRooms++;
+
+    // Forget sessions whose participant is gone
+    for (const session of await store.listSessions()) {
+      if (!(await store.getProfile(session.participantId))) {
+        clearTimeout(graceTimers.get(session.sessionId));
+        graceTimers.delete(session.sessionId);
+        await store.deleteSession(session.sessionId);
+        cleanedSessions++;
+      }
     }
-  });
-  
-  if (cleanedUsers > 0 || cleanedRooms > 0) {
-    console.log(`🧹 Cleanup completed: ${cleanedUsers} users, ${cleanedRooms} rooms`);
+
+    // Clean up empty rooms
+    for (const roomId of await store.listRooms()) {
+      if (await cleanupRoom(roomId)) {
+        cleanedRooms++;
+      }
+    }
+
+    // Forget telemetry nobody has reported on for a day
+    const prunedReports = await telemetry.prune();
+
+    // Forget rate-limit buckets that have refilled
+    rateLimiter.prune();
+
+    // Offers that were never answered
+    pendingCalls.forEach((offeredAt, key) => {
+      if (now - offeredAt > PENDING_CALL_MAX_AGE) pendingCalls.delete(key);
+    });
+
+    cleanupRunsTotal.inc({ result: 'success' });
+    cleanupRemovedTotal.inc({ kind: 'users' }, cleanedUsers);
+    cleanupRemovedTotal.inc({ kind: 'sessions' }, cleanedSessions);
+    cleanupRemovedTotal.inc({ kind: 'rooms' }, cleanedRooms);
+    cleanupRemovedTotal.inc({ kind: 'telemetry_reports' }, prunedReports);
+    lastCleanupAt = Date.now() / 1000;
+
+    if (cleanedUsers > 0 || cleanedRooms > 0 || prunedReports > 0) {
+      logger.info('CLEANUP_COMPLETED', {
+        users: cleanedUsers,
+        sessions: cleanedSessions,
+        rooms: cleanedRooms,
+        telemetryReports: prunedReports
+      });
+    }
+  } catch (error) {
+    cleanupRunsTotal.inc({ result: 'error' });
+    logger.error('CLEANUP_FAILED', { error });
   }
 }, 5 * 60 * 1000); // Run every 5 minutes
 
+
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server gracefully...');
+  logger.info('SHUTDOWN_STARTED');
   
   clearInterval(cleanupInterval);
+  // Pending webhook retries are dropped
+  webhooks.stop();
   
   // Notify all connected users
   io.emit('server:shutdown', {
@@ -384,9 +1993,9 @@ process.on('SIGINT', () => {
   
   // Close all connections
   io.close(() => {
-    console.log('✅ All connections closed');
-    server.close(() => {
-      console.log('✅ Server closed');
+    logger.info('CONNECTIONS_CLOSED');
+    store.close().finally(() => {
+      logger.info('SERVER_CLOSED');
       process.exit(0);
     });
   });
@@ -394,28 +2003,34 @@ process.on('SIGINT', () => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  console.error('Stack trace:', error.stack);
+  logger.error('UNCAUGHT_EXCEPTION', { error });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('UNHANDLED_REJECTION', { error: reason });
   process.exit(1);
 });
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🌐 Environment: ${NODE_ENV}`);
-  console.log(`🔗 Client URL: ${CLIENT_URL}`);
-  console.log(`⚡ Socket.io server ready for connections`);
-  console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
-  
-  if (NODE_ENV === 'development') {
-    console.log(`\n📱 Test the app:`);
-    console.log(`   Frontend: ${CLIENT_URL}`);
-    console.log(`   Backend:  http://localhost:${PORT}`);
-    console.log(`   Health:   http://localhost:${PORT}/health\n`);
+  logger.info('SERVER_STARTED', {
+    port: Number(PORT),
+    environment: NODE_ENV,
+    clientUrl: CLIENT_URL,
+    authMode: AUTH_MODE,
+    stateBackend: store.backend,
+    turnUrls: TURN_URLS.length > 0 && TURN_SECRET ? TURN_URLS : [],
+    // Only the count: webhook URLs may embed credentials
+    webhookUrls: webhooks.enabled ? WEBHOOK_URLS.length : 0,
+    logLevel: logger.level
+  });
+
+  if (WEBHOOK_URLS.length > 0 && !WEBHOOK_SECRET) {
+    logger.warn('WEBHOOKS_DISABLED', { hint: 'Set WEBHOOK_SECRET to sign webhook deliveries' });
+  }
+
+  if (NODE_ENV === 'production' && AUTH_MODE === 'dev') {
+    logger.warn('DEV_AUTH_IN_PRODUCTION', { hint: 'Set JWT_SECRET to verify identities' });
   }
-});
\ No newline at end of file
+});
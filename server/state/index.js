@@ -0,0 +1,38 @@
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Pick the state backend from the environment.
+ * STATE_BACKEND=redis (or just REDIS_URL) shares rooms, profiles, chat and sessions through Redis
+ * and attaches the socket.io Redis adapter so events reach sockets on other processes.
+ */
+const createStateStore = (io, env = process.env) => {
+  const backend = env.STATE_BACKEND || (env.REDIS_URL ? 'redis' : 'memory');
+
+  if (backend === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (backend !== 'redis') {
+    throw new Error(`Unknown STATE_BACKEND "${backend}"`);
+  }
+
+  // Only needed for multi-process deployments, so loaded on demand
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const { createRedisStore } = require('./redisStore');
+
+  const redisUrl = env.REDIS_URL || 'redis://localhost:6379';
+  const pubClient = new Redis(redisUrl);
+  const subClient = pubClient.duplicate();
+  io.adapter(createAdapter(pubClient, subClient, { key: `${env.REDIS_KEY_PREFIX || 'vc:'}socket.io` }));
+
+  const store = createRedisStore(pubClient, { keyPrefix: env.REDIS_KEY_PREFIX || 'vc:' });
+  return {
+    ...store,
+    async close() {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+module.exports = { createStateStore };
@@ -0,0 +1,230 @@
+// In-process state backend: everything lives in Maps, so it only works for a single server
+
+const { createRateLimiter } = require('../rateLimit');
+
+const createMemoryStore = () => {
+  const rooms = new Map(); // roomId -> Set of participant IDs
+  const roomSettings = new Map();
+  const roomChats = new Map();
+  const lobbies = new Map(); // roomId -> Map of participantId -> waiting entry
+  const participantRooms = new Map();
+  const profiles = new Map();
+  const sessions = new Map();
+  const calls = new Map(); // call key -> call between two participants
+  const telemetryReports = new Map(); // roomId -> call-quality report
+  const rateLimits = createRateLimiter({ maxKeys: 10000 });
+
+  return {
+    backend: 'memory',
+
+    // Rooms
+    async createRoom(roomId, settings) {
+      if (rooms.has(roomId)) return false;
+      rooms.set(roomId, new Set());
+      roomSettings.set(roomId, settings);
+      return true;
+    },
+
+    async getRoomSettings(roomId) {
+      return roomSettings.get(roomId) || null;
+    },
+
+    async updateRoomSettings(roomId, changes) {
+      const settings = roomSettings.get(roomId);
+      if (!settings) return null;
+      const updated = { ...settings, ...changes };
+      roomSettings.set(roomId, updated);
+      return updated;
+    },
+
+    // Adds the participant unless the room is already at capacity
+    async addRoomMember(roomId, participantId, capacity) {
+      const room = rooms.get(roomId);
+      if (!room) return { added: false, size: 0 };
+      if (!room.has(participantId) && room.size >= capacity) {
+        return { added: false, size: room.size };
+      }
+      room.add(participantId);
+      return { added: true, size: room.size };
+    },
+
+    async removeRoomMember(roomId, participantId) {
+      const room = rooms.get(roomId);
+      if (!room) return 0;
+      room.delete(participantId);
+      return room.size;
+    },
+
+    async getRoomMembers(roomId) {
+      return Array.from(rooms.get(roomId) || []);
+    },
+
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+      roomSettings.delete(roomId);
+      roomChats.delete(roomId);
+      lobbies.delete(roomId);
+    },
+
+    async listRooms() {
+      return Array.from(rooms.keys());
+    },
+
+    // Waiting room
+    async addLobbyEntry(roomId, participantId, entry) {
+      if (!lobbies.has(roomId)) {
+        lobbies.set(roomId, new Map());
+      }
+      lobbies.get(roomId).set(participantId, entry);
+    },
+
+    // Returns false if the participant was not waiting, so each entry is resolved only once
+    async removeLobbyEntry(roomId, participantId) {
+      const lobby = lobbies.get(roomId);
+      const removed = Boolean(lobby?.delete(participantId));
+      if (lobby && lobby.size === 0) {
+        lobbies.delete(roomId);
+      }
+      return removed;
+    },
+
+    async getLobbyEntries(roomId) {
+      return Array.from(lobbies.get(roomId)?.values() || []);
+    },
+
+    // Participant -> room
+    async getParticipantRoom(participantId) {
+      return participantRooms.get(participantId) || null;
+    },
+
+    async setParticipantRoom(participantId, roomId) {
+      participantRooms.set(participantId, roomId);
+    },
+
+    async clearParticipantRoom(participantId) {
+      participantRooms.delete(participantId);
+    },
+
+    // Profiles
+    async getProfile(participantId) {
+      return profiles.get(participantId) || null;
+    },
+
+    async getProfiles(participantIds) {
+      return participantIds.map(id => profiles.get(id) || null);
+    },
+
+    async setProfile(participantId, profile) {
+      profiles.set(participantId, profile);
+    },
+
+    async updateProfile(participantId, changes) {
+      const profile = profiles.get(participantId);
+      if (!profile) return null;
+      const updated = { ...profile, ...changes };
+      profiles.set(participantId, updated);
+      return updated;
+    },
+
+    async deleteProfile(participantId) {
+      profiles.delete(participantId);
+    },
+
+    async listProfiles() {
+      return Array.from(profiles.entries());
+    },
+
+    // Chat history, trimmed to the newest `limit` messages
+    async appendChatMessage(roomId, message, limit) {
+      if (!roomChats.has(roomId)) {
+        roomChats.set(roomId, []);
+      }
+
+      const history = roomChats.get(roomId);
+      history.push(message);
+      if (history.length > limit) {
+        history.splice(0, history.length - limit);
+      }
+    },
+
+    async getChatHistory(roomId) {
+      return [...(roomChats.get(roomId) || [])];
+    },
+
+    // Sessions
+    async getSession(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+
+    async setSession(sessionId, session) {
+      sessions.set(sessionId, session);
+    },
+
+    async deleteSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async listSessions() {
+      return Array.from(sessions.values());
+    },
+
+    // Calls
+    async getCall(callKey) {
+      return calls.get(callKey) || null;
+    },
+
+    async setCall(callKey, call) {
+      calls.set(callKey, call);
+    },
+
+    // Apply changes only while the call is still in `fromState`; returns the updated call or null
+    async transitionCall(callKey, fromState, changes) {
+      const call = calls.get(callKey);
+      if (!call || call.state !== fromState) return null;
+      const updated = { ...call, ...changes };
+      calls.set(callKey, updated);
+      return updated;
+    },
+
+    async deleteCall(callKey) {
+      calls.delete(callKey);
+    },
+
+    async listCalls() {
+      return Array.from(calls.values());
+    },
+
+    // Call-quality telemetry: update(report or null) returns the new report
+    async getTelemetryReport(roomId) {
+      return telemetryReports.get(roomId) || null;
+    },
+
+    async updateTelemetryReport(roomId, update) {
+      const report = update(telemetryReports.get(roomId) || null);
+      telemetryReports.set(roomId, report);
+      return report;
+    },
+
+    async deleteTelemetryReport(roomId) {
+      telemetryReports.delete(roomId);
+    },
+
+    async listTelemetryReports() {
+      return Array.from(telemetryReports.values());
+    },
+
+    // Rate limits that must hold across processes: take one token; false means the limit is exhausted
+    async takeRateLimitToken(key, limit) {
+      return rateLimits.take(key, limit);
+    },
+
+    // Whether a token is available, without taking it
+    async peekRateLimitToken(key) {
+      return rateLimits.peek(key);
+    },
+
+    async close() {}
+  };
+};
+
+module.exports = { createMemoryStore };
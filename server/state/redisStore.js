@@ -0,0 +1,332 @@
+// Redis state backend, shared by every server process behind the socket.io Redis adapter
+//
+// Keys (all under the configured prefix):
+//   rooms                  set of room IDs
+//   room:<id>:members      set of participant IDs
+//   room:<id>:settings     JSON room settings
+//   room:<id>:chat         list of JSON chat messages
+//   room:<id>:lobby        hash participantId -> JSON waiting-room entry
+//   participant-rooms      hash participantId -> roomId
+//   profiles               hash participantId -> JSON profile
+//   sessions               hash sessionId -> JSON session
+//   calls                  hash call key -> JSON call
+//   telemetry              hash roomId -> JSON call-quality report
+//   rate-limit:<key>       hash tokens, updatedAt; expires once the bucket has refilled
+
+// Capacity check and insert in one step so two processes cannot both take the last seat
+const ADD_MEMBER_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then
+  return {1, redis.call('SCARD', KEYS[1])}
+end
+local size = redis.call('SCARD', KEYS[1])
+if size >= tonumber(ARGV[2]) then
+  return {0, size}
+end
+redis.call('SADD', KEYS[1], ARGV[1])
+return {1, size + 1}
+`;
+
+// Compare-and-set on a call's state, so an answer and a ring timeout on different processes cannot both win
+const TRANSITION_CALL_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], ARGV[1])
+if not raw then
+  return nil
+end
+local call = cjson.decode(raw)
+if call.state ~= ARGV[2] then
+  return nil
+end
+for field, value in pairs(cjson.decode(ARGV[3])) do
+  call[field] = value
+end
+local updated = cjson.encode(call)
+redis.call('HSET', KEYS[1], ARGV[1], updated)
+return updated
+`;
+
+// Write a JSON value only if it still holds what the caller read (ARGV[1]); returns 1 if written.
+// Merging happens in JS, so the record round-trips through JSON.parse/stringify rather than cjson.
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+// Same for a hash field (ARGV[1])
+const COMPARE_AND_SET_FIELD_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+
+// Token bucket (see rateLimit.js): refill, then take a token if ARGV[4] is 1; returns 1 if one was available.
+// The key expires when the bucket would be full again, so idle buckets clean themselves up.
+const RATE_LIMIT_SCRIPT = `
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local burst = tonumber(ARGV[1])
+local perSecond = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local tokens = tonumber(bucket[1]) or burst
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - updatedAt) / 1000 * perSecond)
+if tokens < 1 then
+  return 0
+end
+if ARGV[4] == '1' then
+  tokens = tokens - 1
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], math.ceil((burst - tokens) / perSecond * 1000))
+end
+return 1
+`;
+
+// Retries before an update loses to concurrent writers for good
+const MAX_MERGE_ATTEMPTS = 10;
+
+const parse = (value) => (value ? JSON.parse(value) : null);
+
+const createRedisStore = (redis, { keyPrefix = 'vc:' } = {}) => {
+  const key = (...parts) => keyPrefix + parts.join(':');
+  const roomsKey = key('rooms');
+  const membersKey = (roomId) => key('room', roomId, 'members');
+  const settingsKey = (roomId) => key('room', roomId, 'settings');
+  const chatKey = (roomId) => key('room', roomId, 'chat');
+  const lobbyKey = (roomId) => key('room', roomId, 'lobby');
+  const participantRoomsKey = key('participant-rooms');
+  const profilesKey = key('profiles');
+  const sessionsKey = key('sessions');
+  const callsKey = key('calls');
+  const telemetryKey = key('telemetry');
+  const rateLimitKey = (limitKey) => key('rate-limit', limitKey);
+
+  redis.defineCommand('vcAddRoomMember', { numberOfKeys: 1, lua: ADD_MEMBER_SCRIPT });
+  redis.defineCommand('vcTransitionCall', { numberOfKeys: 1, lua: TRANSITION_CALL_SCRIPT });
+  redis.defineCommand('vcCompareAndSet', { numberOfKeys: 1, lua: COMPARE_AND_SET_SCRIPT });
+  redis.defineCommand('vcCompareAndSetField', { numberOfKeys: 1, lua: COMPARE_AND_SET_FIELD_SCRIPT });
+  redis.defineCommand('vcRateLimit', { numberOfKeys: 1, lua: RATE_LIMIT_SCRIPT });
+
+  // Optimistic read-modify-write of a JSON value: if another process changed it since we read it, read again.
+  // Records are not owned by one process: a host admits or removes participants (writing their profiles)
+  // and changes room settings from whichever process their own socket is on.
+  const mergeJson = async (read, compareAndSet, changes) => {
+    for (let attempt = 0; attempt < MAX_MERGE_ATTEMPTS; attempt++) {
+      const raw = await read();
+      if (!raw) return null;
+      const updated = { ...JSON.parse(raw), ...changes };
+      if (await compareAndSet(raw, JSON.stringify(updated)) === 1) return updated;
+    }
+    throw new Error(`Gave up updating after ${MAX_MERGE_ATTEMPTS} concurrent changes`);
+  };
+
+  return {
+    backend: 'redis',
+
+    // Rooms
+    async createRoom(roomId, settings) {
+      const created = await redis.set(settingsKey(roomId), JSON.stringify(settings), 'NX');
+      if (created !== 'OK') return false;
+      await redis.sadd(roomsKey, roomId);
+      return true;
+    },
+
+    async getRoomSettings(roomId) {
+      return parse(await redis.get(settingsKey(roomId)));
+    },
+
+    async updateRoomSettings(roomId, changes) {
+      return mergeJson(
+        () => redis.get(settingsKey(roomId)),
+        (expected, updated) => redis.vcCompareAndSet(settingsKey(roomId), expected, updated),
+        changes
+      );
+    },
+
+    async addRoomMember(roomId, participantId, capacity) {
+      const [added, size] = await redis.vcAddRoomMember(membersKey(roomId), participantId, capacity);
+      return { added: added === 1, size };
+    },
+
+    async removeRoomMember(roomId, participantId) {
+      const [, [, size]] = await redis.multi()
+        .srem(membersKey(roomId), participantId)
+        .scard(membersKey(roomId))
+        .exec();
+      return size;
+    },
+
+    async getRoomMembers(roomId) {
+      return redis.smembers(membersKey(roomId));
+    },
+
+    async deleteRoom(roomId) {
+      await redis.multi()
+        .del(membersKey(roomId), settingsKey(roomId), chatKey(roomId), lobbyKey(roomId))
+        .srem(roomsKey, roomId)
+        .exec();
+    },
+
+    async listRooms() {
+      return redis.smembers(roomsKey);
+    },
+
+    // Waiting room
+    async addLobbyEntry(roomId, participantId, entry) {
+      await redis.hset(lobbyKey(roomId), participantId, JSON.stringify(entry));
+    },
+
+    // Returns false if the participant was not waiting, so each entry is resolved only once
+    async removeLobbyEntry(roomId, participantId) {
+      return (await redis.hdel(lobbyKey(roomId), participantId)) === 1;
+    },
+
+    async getLobbyEntries(roomId) {
+      const entries = await redis.hvals(lobbyKey(roomId));
+      return entries.map(parse);
+    },
+
+    // Participant -> room
+    async getParticipantRoom(participantId) {
+      return redis.hget(participantRoomsKey, participantId);
+    },
+
+    async setParticipantRoom(participantId, roomId) {
+      await redis.hset(participantRoomsKey, participantId, roomId);
+    },
+
+    async clearParticipantRoom(participantId) {
+      await redis.hdel(participantRoomsKey, participantId);
+    },
+
+    // Profiles
+    async getProfile(participantId) {
+      return parse(await redis.hget(profilesKey, participantId));
+    },
+
+    async getProfiles(participantIds) {
+      if (participantIds.length === 0) return [];
+      const values = await redis.hmget(profilesKey, ...participantIds);
+      return values.map(parse);
+    },
+
+    async setProfile(participantId, profile) {
+      await redis.hset(profilesKey, participantId, JSON.stringify(profile));
+    },
+
+    async updateProfile(participantId, changes) {
+      return mergeJson(
+        () => redis.hget(profilesKey, participantId),
+        (expected, updated) => redis.vcCompareAndSetField(profilesKey, participantId, expected, updated),
+        changes
+      );
+    },
+
+    async deleteProfile(participantId) {
+      await redis.hdel(profilesKey, participantId);
+    },
+
+    async listProfiles() {
+      const entries = await redis.hgetall(profilesKey);
+      return Object.entries(entries).map(([id, value]) => [id, parse(value)]);
+    },
+
+    // Chat history, trimmed to the newest `limit` messages
+    async appendChatMessage(roomId, message, limit) {
+      await redis.multi()
+        .rpush(chatKey(roomId), JSON.stringify(message))
+        .ltrim(chatKey(roomId), -limit, -1)
+        .exec();
+    },
+
+    async getChatHistory(roomId) {
+      const messages = await redis.lrange(chatKey(roomId), 0, -1);
+      return messages.map(parse);
+    },
+
+    // Sessions
+    async getSession(sessionId) {
+      return parse(await redis.hget(sessionsKey, sessionId));
+    },
+
+    async setSession(sessionId, session) {
+      await redis.hset(sessionsKey, sessionId, JSON.stringify(session));
+    },
+
+    async deleteSession(sessionId) {
+      await redis.hdel(sessionsKey, sessionId);
+    },
+
+    async listSessions() {
+      const entries = await redis.hgetall(sessionsKey);
+      return Object.values(entries).map(parse);
+    },
+
+    // Calls
+    async getCall(callKey) {
+      return parse(await redis.hget(callsKey, callKey));
+    },
+
+    async setCall(callKey, call) {
+      await redis.hset(callsKey, callKey, JSON.stringify(call));
+    },
+
+    async transitionCall(callKey, fromState, changes) {
+      return parse(await redis.vcTransitionCall(callsKey, callKey, fromState, JSON.stringify(changes)));
+    },
+
+    async deleteCall(callKey) {
+      await redis.hdel(callsKey, callKey);
+    },
+
+    async listCalls() {
+      const entries = await redis.hgetall(callsKey);
+      return Object.values(entries).map(parse);
+    },
+
+    // Call-quality telemetry: update(report or null) returns the new report.
+    // Uploads for a room arrive on every process, so each one is a compare-and-set (HSETNX for the first).
+    async getTelemetryReport(roomId) {
+      return parse(await redis.hget(telemetryKey, roomId));
+    },
+
+    async updateTelemetryReport(roomId, update) {
+      for (let attempt = 0; attempt < MAX_MERGE_ATTEMPTS; attempt++) {
+        const raw = await redis.hget(telemetryKey, roomId);
+        const report = update(parse(raw));
+        const written = raw
+          ? await redis.vcCompareAndSetField(telemetryKey, roomId, raw, JSON.stringify(report))
+          : await redis.hsetnx(telemetryKey, roomId, JSON.stringify(report));
+        if (written === 1) return report;
+      }
+      throw new Error(`Gave up updating after ${MAX_MERGE_ATTEMPTS} concurrent changes`);
+    },
+
+    async deleteTelemetryReport(roomId) {
+      await redis.hdel(telemetryKey, roomId);
+    },
+
+    async listTelemetryReports() {
+      const entries = await redis.hgetall(telemetryKey);
+      return Object.values(entries).map(parse);
+    },
+
+    // Rate limits that must hold across processes: take one token; false means the limit is exhausted
+    async takeRateLimitToken(limitKey, { burst, perSecond }) {
+      return (await redis.vcRateLimit(rateLimitKey(limitKey), burst, perSecond, Date.now(), 1)) === 1;
+    },
+
+    // Whether a token is available, without taking it
+    async peekRateLimitToken(limitKey, { burst, perSecond }) {
+      return (await redis.vcRateLimit(rateLimitKey(limitKey), burst, perSecond, Date.now(), 0)) === 1;
+    },
+
+    async close() {
+      await redis.quit();
+    }
+  };
+};
+
+module.exports = { createRedisStore };
@@ -0,0 +1,147 @@
+// Per-room aggregation of the call-quality summaries clients upload during calls.
+// Reports live in the state store, so with Redis an upload landing on any process adds to the same room report.
+
+const METRICS = ['rtt', 'jitter', 'packetLoss', 'bitrateIn', 'bitrateOut', 'fps', 'score'];
+const MAX_SUMMARIES_PER_UPLOAD = 20;
+
+const emptyMetric = () => ({ count: 0, sum: 0, min: null, max: null });
+
+const addToMetric = (metric, value) => {
+  metric.count += 1;
+  metric.sum += value;
+  metric.min = metric.min === null ? value : Math.min(metric.min, value);
+  metric.max = metric.max === null ? value : Math.max(metric.max, value);
+};
+
+const toNumber = (value, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max ? value : null;
+
+const toLabel = (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= 32 ? value : null;
+
+const isSummary = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// An upload's summaries: a list of objects, one per peer
+const isValidSummaryList = (summaries) => Array.isArray(summaries) && summaries.every(isSummary);
+
+// Keep only the fields we aggregate, with sane bounds
+const sanitizeSummary = (summary) => ({
+  peerId: toLabel(summary.peerId),
+  samples: toNumber(summary.samples, 1000),
+  rtt: toNumber(summary.rtt, 60000),
+  jitter: toNumber(summary.jitter, 60000),
+  packetLoss: toNumber(summary.packetLoss, 100),
+  bitrateIn: toNumber(summary.bitrateIn, 1000000),
+  bitrateOut: toNumber(summary.bitrateOut, 1000000),
+  fps: toNumber(summary.fps, 240),
+  score: toNumber(summary.score, 5),
+  resolution: toLabel(summary.resolution),
+  candidateType: toLabel(summary.candidateType)
+});
+
+const emptyReport = (roomId, now) => ({
+  roomId,
+  firstReportAt: now,
+  lastReportAt: now,
+  uploads: 0,
+  participants: [],
+  metrics: Object.fromEntries(METRICS.map(name => [name, emptyMetric()])),
+  candidateTypes: {},
+  lowQualityReports: 0,
+  recent: []
+});
+
+// Fold one upload into a room report, returning a new report (the stored one may be shared)
+const addUpload = (report, { roomId, participantId, summaries, now, recentLimit }) => {
+  const room = report ? structuredClone(report) : emptyReport(roomId, now);
+
+  room.uploads += 1;
+  room.lastReportAt = now;
+  if (!room.participants.includes(participantId)) {
+    room.participants.push(participantId);
+  }
+
+  summaries.forEach(summary => {
+    METRICS.forEach(name => {
+      if (summary[name] !== null) addToMetric(room.metrics[name], summary[name]);
+    });
+    if (summary.candidateType) {
+      room.candidateTypes[summary.candidateType] = (room.candidateTypes[summary.candidateType] || 0) + 1;
+    }
+    if (summary.score !== null && summary.score <= 2) {
+      room.lowQualityReports += 1;
+    }
+
+    room.recent.push({ participantId, at: new Date(now).toISOString(), ...summary });
+  });
+
+  if (room.recent.length > recentLimit) {
+    room.recent.splice(0, room.recent.length - recentLimit);
+  }
+  return room;
+};
+
+const toReport = (room) => ({
+  roomId: room.roomId,
+  firstReportAt: new Date(room.firstReportAt).toISOString(),
+  lastReportAt: new Date(room.lastReportAt).toISOString(),
+  uploads: room.uploads,
+  participants: room.participants,
+  metrics: Object.fromEntries(Object.entries(room.metrics).map(([name, metric]) => [name, {
+    average: metric.count > 0 ? Math.round((metric.sum / metric.count) * 10) / 10 : null,
+    min: metric.min,
+    max: metric.max,
+    count: metric.count
+  }])),
+  candidateTypes: room.candidateTypes,
+  lowQualityReports: room.lowQualityReports,
+  recent: room.recent
+});
+
+const createTelemetryAggregator = (store, { maxRooms = 1000, retentionMs = 24 * 60 * 60 * 1000, recentLimit = 50 } = {}) => {
+  // Forget the least recently reported rooms once we hit the cap
+  const makeRoomFor = async (roomId) => {
+    if (await store.getTelemetryReport(roomId)) return;
+
+    const rooms = await store.listTelemetryReports();
+    if (rooms.length < maxRooms) return;
+    const oldest = rooms.sort((a, b) => a.lastReportAt - b.lastReportAt).slice(0, rooms.length - maxRooms + 1);
+    await Promise.all(oldest.map(room => store.deleteTelemetryReport(room.roomId)));
+  };
+
+  return {
+    // Record one upload; resolves to how many summaries were accepted
+    async record(roomId, participantId, summaries) {
+      if (!isValidSummaryList(summaries)) return 0;
+
+      const accepted = summaries.slice(0, MAX_SUMMARIES_PER_UPLOAD).map(sanitizeSummary);
+      await makeRoomFor(roomId);
+      await store.updateTelemetryReport(roomId, report =>
+        addUpload(report, { roomId, participantId, summaries: accepted, now: Date.now(), recentLimit })
+      );
+      return accepted.length;
+    },
+
+    async getRoomReport(roomId) {
+      const room = await store.getTelemetryReport(roomId);
+      return room ? toReport(room) : null;
+    },
+
+    async listRoomReports() {
+      return (await store.listTelemetryReports()).map(room => {
+        const { recent: _recent, ...report } = toReport(room);
+        return report;
+      });
+    },
+
+    // Drop rooms nobody has reported on within the retention window; resolves to how many were removed
+    async prune() {
+      const cutoff = Date.now() - retentionMs;
+      const stale = (await store.listTelemetryReports()).filter(room => room.lastReportAt < cutoff);
+      await Promise.all(stale.map(room => store.deleteTelemetryReport(room.roomId)));
+      return stale.length;
+    }
+  };
+};
+
+module.exports = { createTelemetryAggregator, isValidSummaryList };
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../logger');
+
+// A logger whose lines are parsed into `lines`
+const createCapturingLogger = (options) => {
+  const lines = [];
+  const logger = createLogger({ ...options, output: (line) => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+};
+
+describe('logger', () => {
+  it('masks session descriptions, candidates and secrets', () => {
+    const { logger, lines } = createCapturingLogger();
+    logger.info('OUTGOING_CALL', {
+      offer: { type: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 203.0.113.7' },
+      payload: { answer: { type: 'answer' }, candidate: 'candidate:1 1 udp 2122 203.0.113.7 5000 typ host' },
+      passphrase: 'hunter2',
+      auth: { token: 'jwt', resumeToken: 'abc', inviteToken: 'xyz' },
+      peerId: 'p2'
+    });
+
+    const [line] = lines;
+    assert.equal(line.offer, '[redacted]');
+    assert.deepEqual(line.payload, { answer: '[redacted]', candidate: '[redacted]' });
+    assert.equal(line.passphrase, '[redacted]');
+    assert.deepEqual(line.auth, { token: '[redacted]', resumeToken: '[redacted]', inviteToken: '[redacted]' });
+    assert.equal(line.peerId, 'p2');
+  });
+
+  it('masks SDP and candidates that turn up in other fields, such as errors', () => {
+    const { logger, lines } = createCapturingLogger();
+    logger.error('SIGNALING_FAILED', {
+      error: new Error('Bad line in candidate:842163049 1 udp 1677729535 198.51.100.2 61000 typ srflx'),
+      note: 'v=0\r\ns=-'
+    });
+
+    const [line] = lines;
+    assert.equal(line.level, 'error');
+    assert.equal(line.error.message, '[redacted]');
+    assert.equal(line.note, '[redacted]');
+  });
+
+  it('attaches the request context to every line logged inside it, across awaits and timers', async () => {
+    const { logger, lines } = createCapturingLogger();
+    await logger.withContext({ event: 'room:join', socketId: 's1' }, async () => {
+      logger.info('FIRST');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await logger.withContext({ roomId: 'standup' }, async () => logger.info('NESTED'));
+      await new Promise(resolve => setTimeout(() => resolve(logger.warn('FROM_TIMER', { socketId: 's2' })), 5));
+    });
+    logger.info('OUTSIDE');
+
+    assert.deepEqual(lines.map(({ msg, event, socketId, roomId }) => ({ msg, event, socketId, roomId })), [
+      { msg: 'FIRST', event: 'room:join', socketId: 's1', roomId: undefined },
+      { msg: 'NESTED', event: 'room:join', socketId: 's1', roomId: 'standup' },
+      // Fields passed to the call win over the context
+      { msg: 'FROM_TIMER', event: 'room:join', socketId: 's2', roomId: undefined },
+      { msg: 'OUTSIDE', event: undefined, socketId: undefined, roomId: undefined }
+    ]);
+  });
+
+  it('drops lines below the configured level', () => {
+    const { logger, lines } = createCapturingLogger({ level: 'warn' });
+    logger.info('QUIET');
+    logger.warn('LOUD');
+    assert.deepEqual(lines.map(line => line.msg), ['LOUD']);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../metrics');
+
+describe('metrics', () => {
+  it('renders counters, starting unlabelled ones at 0', async () => {
+    const metrics = createMetricsRegistry();
+    metrics.counter({ name: 'joins_total', help: 'Joins' });
+    const outcomes = metrics.counter({ name: 'outcomes_total', help: 'Outcomes', labelNames: ['outcome'] });
+    outcomes.inc({ outcome: 'answered' });
+    outcomes.inc({ outcome: 'answered' }, 2);
+    outcomes.inc({ outcome: 'say "no"\n' });
+
+    assert.equal(await metrics.render(), [
+      '# HELP joins_total Joins',
+      '# TYPE joins_total counter',
+      'joins_total 0',
+      '# HELP outcomes_total Outcomes',
+      '# TYPE outcomes_total counter',
+      'outcomes_total{outcome="answered"} 3',
+      'outcomes_total{outcome="say \\"no\\"\\n"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders gauges from collect(), with or without labels', async () => {
+    const metrics = createMetricsRegistry();
+    metrics.gauge({ name: 'rooms', help: 'Rooms', collect: async () => 2 });
+    metrics.gauge({ name: 'sockets', help: 'Sockets', collect: () => [{ labels: { transport: 'websocket' }, value: 5 }] });
+    metrics.gauge({ name: 'last_cleanup', help: 'Last cleanup', collect: () => NaN });
+
+    assert.equal(await metrics.render(), [
+      '# HELP rooms Rooms',
+      '# TYPE rooms gauge',
+      'rooms 2',
+      '# HELP sockets Sockets',
+      '# TYPE sockets gauge',
+      'sockets{transport="websocket"} 5',
+      '# HELP last_cleanup Last cleanup',
+      '# TYPE last_cleanup gauge',
+      'last_cleanup NaN',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets with _sum and _count', async () => {
+    const metrics = createMetricsRegistry();
+    const setup = metrics.histogram({ name: 'setup_seconds', help: 'Setup', buckets: [5, 1] });
+    [0.5, 1, 3, 60].forEach(value => setup.observe(value));
+
+    assert.equal(await metrics.render(), [
+      '# HELP setup_seconds Setup',
+      '# TYPE setup_seconds histogram',
+      'setup_seconds_bucket{le="1"} 2',
+      'setup_seconds_bucket{le="5"} 3',
+      'setup_seconds_bucket{le="+Inf"} 4',
+      'setup_seconds_sum 64.5',
+      'setup_seconds_count 4',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps labelled histogram series apart and rebuilds collected ones on every scrape', async () => {
+    const metrics = createMetricsRegistry();
+    const delivery = metrics.histogram({ name: 'delivery_seconds', help: 'Delivery', buckets: [1], labelNames: ['event'] });
+    delivery.observe(0.5, { event: 'a' });
+    delivery.observe(2, { event: 'b' });
+    let sizes = [1, 3];
+    metrics.histogram({ name: 'room_size', help: 'Room size', buckets: [2], collect: () => sizes });
+
+    const lines = (await metrics.render()).split('\n');
+    assert.deepEqual(lines.filter(line => line.startsWith('delivery_seconds_count')), [
+      'delivery_seconds_count{event="a"} 1',
+      'delivery_seconds_count{event="b"} 1'
+    ]);
+    assert.ok(lines.includes('delivery_seconds_bucket{event="b",le="1"} 0'));
+    assert.ok(lines.includes('room_size_count 2'));
+
+    sizes = [2];
+    const rescraped = (await metrics.render()).split('\n');
+    assert.ok(rescraped.includes('room_size_bucket{le="2"} 1'));
+    assert.ok(rescraped.includes('room_size_count 1'));
+  });
+});
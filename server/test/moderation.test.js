@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRemovalKey, isRemoved, addRemoval, MAX_REMOVALS } = require('../moderation');
+
+// Dev auth hands out a new identity on every connection
+const devIdentity = () => ({ authMode: 'dev', userId: `dev:${Math.random()}` });
+
+describe('moderation', () => {
+  it('keeps a removed dev user out when they rejoin as a new identity from the same address', () => {
+    const settings = addRemoval({}, getRemovalKey(devIdentity(), '203.0.113.7'));
+
+    assert.equal(isRemoved(settings, getRemovalKey(devIdentity(), '203.0.113.7')), true);
+    assert.equal(isRemoved(settings, getRemovalKey(devIdentity(), '198.51.100.2')), false);
+  });
+
+  it('keeps a removed JWT user out wherever they connect from', () => {
+    const settings = addRemoval({}, getRemovalKey({ authMode: 'jwt', userId: 'alice' }, '203.0.113.7'));
+
+    assert.equal(isRemoved(settings, getRemovalKey({ authMode: 'jwt', userId: 'alice' }, '198.51.100.2')), true);
+    assert.equal(isRemoved(settings, getRemovalKey({ authMode: 'jwt', userId: 'bob' }, '203.0.113.7')), false);
+  });
+
+  it('remembers each removal once, newest kept', () => {
+    let settings = {};
+    for (let i = 0; i <= MAX_REMOVALS; i++) {
+      settings = { ...settings, ...addRemoval(settings, `user:u${i}`) };
+    }
+    settings = { ...settings, ...addRemoval(settings, `user:u${MAX_REMOVALS}`) };
+
+    assert.equal(settings.removedKeys.length, MAX_REMOVALS);
+    assert.equal(isRemoved(settings, 'user:u0'), false);
+    assert.equal(isRemoved(settings, `user:u${MAX_REMOVALS}`), true);
+  });
+});
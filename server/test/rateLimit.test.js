@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../rateLimit');
+
+describe('rate limiter', () => {
+  let now;
+  beforeEach((t) => {
+    now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  it('allows a burst, then refills over time', () => {
+    const limiter = createRateLimiter();
+    const limit = { burst: 3, perSecond: 1 };
+
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.take('socket', limit)), [true, true, true, false]);
+
+    now += 500;
+    assert.equal(limiter.take('socket', limit), false);
+    now += 500;
+    assert.equal(limiter.take('socket', limit), true);
+    assert.equal(limiter.take('socket', limit), false);
+  });
+
+  it('never refills beyond the burst size', () => {
+    const limiter = createRateLimiter();
+    const limit = { burst: 2, perSecond: 10 };
+    limiter.take('socket', limit);
+
+    now += 60 * 1000;
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('socket', limit)), [true, true, false]);
+  });
+
+  it('keeps separate buckets per key', () => {
+    const limiter = createRateLimiter();
+    const limit = { burst: 1, perSecond: 1 };
+    assert.equal(limiter.take('a', limit), true);
+    assert.equal(limiter.take('a', limit), false);
+    assert.equal(limiter.take('b', limit), true);
+  });
+
+  it('peeks without taking a token', () => {
+    const limiter = createRateLimiter();
+    const limit = { burst: 1, perSecond: 1 };
+    assert.equal(limiter.peek('a'), true);
+    limiter.take('a', limit);
+    assert.equal(limiter.peek('a'), false);
+    assert.equal(limiter.peek('a'), false);
+    now += 1000;
+    assert.equal(limiter.peek('a'), true);
+  });
+
+  it('forgets the oldest bucket when full', () => {
+    const limiter = createRateLimiter({ maxKeys: 2 });
+    const limit = { burst: 1, perSecond: 0.001 };
+    limiter.take('a', limit);
+    limiter.take('b', limit);
+    limiter.take('c', limit);
+
+    // "a" starts over with a full bucket
+    assert.equal(limiter.take('a', limit), true);
+    assert.equal(limiter.take('c', limit), false);
+  });
+
+  it('prunes only buckets that have refilled', () => {
+    const limiter = createRateLimiter();
+    limiter.take('fast', { burst: 1, perSecond: 1 });
+    limiter.take('slow', { burst: 1, perSecond: 0.01 });
+
+    now += 1000;
+    assert.equal(limiter.prune(), 1);
+    assert.equal(limiter.peek('slow'), false);
+  });
+});
@@ -0,0 +1,167 @@
+// State store contract, run against the memory store and, when REDIS_URL is set, a real Redis:
+//   REDIS_URL=redis://localhost:6379 npm test
+// Redis keys go under a throwaway prefix that is deleted afterwards.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMemoryStore } = require('../state/memoryStore');
+const { createRedisStore } = require('../state/redisStore');
+
+const storeContract = (createStore) => {
+  let store;
+  before(async () => {
+    store = await createStore();
+  });
+
+  it('creates a room only once', async () => {
+    assert.equal(await store.createRoom('room-a', { hostId: 'p1', locked: false }), true);
+    assert.equal(await store.createRoom('room-a', { hostId: 'p2' }), false);
+    assert.deepEqual(await store.getRoomSettings('room-a'), { hostId: 'p1', locked: false });
+    assert.ok((await store.listRooms()).includes('room-a'));
+  });
+
+  it('merges room settings and returns null for unknown rooms', async () => {
+    assert.deepEqual(await store.updateRoomSettings('room-a', { locked: true }), { hostId: 'p1', locked: true });
+    assert.equal(await store.updateRoomSettings('missing-room', { locked: true }), null);
+  });
+
+  it('keeps rooms within capacity', async () => {
+    await store.createRoom('room-b', {});
+    assert.deepEqual(await store.addRoomMember('room-b', 'p1', 2), { added: true, size: 1 });
+    assert.deepEqual(await store.addRoomMember('room-b', 'p2', 2), { added: true, size: 2 });
+    assert.deepEqual(await store.addRoomMember('room-b', 'p3', 2), { added: false, size: 2 });
+    // Rejoining does not need a free seat
+    assert.deepEqual(await store.addRoomMember('room-b', 'p2', 2), { added: true, size: 2 });
+    assert.equal(await store.removeRoomMember('room-b', 'p1'), 1);
+    assert.deepEqual(await store.getRoomMembers('room-b'), ['p2']);
+  });
+
+  it('deletes a room with its settings, chat and lobby', async () => {
+    await store.createRoom('room-c', {});
+    await store.appendChatMessage('room-c', { text: 'hi' }, 10);
+    await store.addLobbyEntry('room-c', 'p9', { participantId: 'p9' });
+    await store.deleteRoom('room-c');
+    assert.equal(await store.getRoomSettings('room-c'), null);
+    assert.deepEqual(await store.getChatHistory('room-c'), []);
+    assert.deepEqual(await store.getLobbyEntries('room-c'), []);
+    assert.ok(!(await store.listRooms()).includes('room-c'));
+  });
+
+  it('resolves a lobby entry only once', async () => {
+    await store.addLobbyEntry('room-a', 'p5', { participantId: 'p5' });
+    assert.deepEqual(await store.getLobbyEntries('room-a'), [{ participantId: 'p5' }]);
+    assert.equal(await store.removeLobbyEntry('room-a', 'p5'), true);
+    assert.equal(await store.removeLobbyEntry('room-a', 'p5'), false);
+  });
+
+  it('trims chat history to the newest messages', async () => {
+    for (let i = 0; i < 5; i++) {
+      await store.appendChatMessage('room-a', { text: `m${i}` }, 3);
+    }
+    assert.deepEqual((await store.getChatHistory('room-a')).map(message => message.text), ['m2', 'm3', 'm4']);
+  });
+
+  it('merges profile changes and returns null for unknown participants', async () => {
+    await store.setProfile('p1', { displayName: 'Alice', isScreenSharing: false });
+    assert.deepEqual(await store.updateProfile('p1', { isScreenSharing: true }), { displayName: 'Alice', isScreenSharing: true });
+    assert.equal(await store.updateProfile('nobody', { isScreenSharing: true }), null);
+    assert.deepEqual(await store.getProfiles(['p1', 'nobody']), [{ displayName: 'Alice', isScreenSharing: true }, null]);
+  });
+
+  it('transitions a call only from the expected state', async () => {
+    await store.setCall('a:b', { callId: 'c1', state: 'ringing' });
+    assert.deepEqual(await store.transitionCall('a:b', 'ringing', { state: 'active' }), { callId: 'c1', state: 'active' });
+    assert.equal(await store.transitionCall('a:b', 'ringing', { state: 'unanswered' }), null);
+    assert.equal(await store.transitionCall('missing', 'ringing', { state: 'active' }), null);
+    await store.deleteCall('a:b');
+    assert.deepEqual(await store.listCalls(), []);
+  });
+
+  it('creates and updates telemetry reports', async () => {
+    const add = (report) => ({ roomId: 'room-a', uploads: (report?.uploads || 0) + 1 });
+    assert.deepEqual(await store.updateTelemetryReport('room-a', add), { roomId: 'room-a', uploads: 1 });
+    assert.deepEqual(await store.updateTelemetryReport('room-a', add), { roomId: 'room-a', uploads: 2 });
+    assert.deepEqual(await store.getTelemetryReport('room-a'), { roomId: 'room-a', uploads: 2 });
+    await store.deleteTelemetryReport('room-a');
+    assert.deepEqual(await store.listTelemetryReports(), []);
+  });
+
+  it('takes rate-limit tokens until the bucket is empty', async () => {
+    const limit = { burst: 2, perSecond: 1 / 60 };
+    assert.equal(await store.peekRateLimitToken('ip:1.2.3.4:room:join:failed', limit), true);
+    assert.equal(await store.takeRateLimitToken('ip:1.2.3.4:room:join:failed', limit), true);
+    assert.equal(await store.takeRateLimitToken('ip:1.2.3.4:room:join:failed', limit), true);
+    assert.equal(await store.takeRateLimitToken('ip:1.2.3.4:room:join:failed', limit), false);
+    assert.equal(await store.peekRateLimitToken('ip:1.2.3.4:room:join:failed', limit), false);
+    assert.equal(await store.peekRateLimitToken('ip:5.6.7.8:room:join:failed', limit), true);
+  });
+};
+
+describe('memory store', () => {
+  storeContract(() => createMemoryStore());
+});
+
+describe('redis store', { skip: !process.env.REDIS_URL && 'set REDIS_URL to run against Redis' }, () => {
+  const keyPrefix = `vc-test-${crypto.randomUUID()}:`;
+  const clients = [];
+
+  // Each store gets its own connection, like separate server processes
+  const connect = () => {
+    const Redis = require('ioredis');
+    const client = new Redis(process.env.REDIS_URL);
+    clients.push(client);
+    return createRedisStore(client, { keyPrefix });
+  };
+
+  after(async () => {
+    const keys = await clients[0].keys(`${keyPrefix}*`);
+    if (keys.length > 0) await clients[0].del(...keys);
+    await Promise.all(clients.map(client => client.quit()));
+  });
+
+  storeContract(connect);
+
+  it('does not lose concurrent profile updates from different processes', async () => {
+    const [first, second] = [connect(), connect()];
+    await first.setProfile('shared', { displayName: 'Bob' });
+
+    const fields = Array.from({ length: 8 }, (_, i) => `field${i}`);
+    await Promise.all(fields.map((field, i) => (i % 2 ? first : second).updateProfile('shared', { [field]: true })));
+
+    const profile = await first.getProfile('shared');
+    assert.equal(profile.displayName, 'Bob');
+    fields.forEach(field => assert.equal(profile[field], true, field));
+  });
+
+  it('does not lose concurrent room settings updates from different processes', async () => {
+    const [first, second] = [connect(), connect()];
+    await first.createRoom('shared-room', { hostId: 'p1' });
+
+    await Promise.all([
+      first.updateRoomSettings('shared-room', { locked: true }),
+      second.updateRoomSettings('shared-room', { waitingRoom: false })
+    ]);
+
+    assert.deepEqual(await first.getRoomSettings('shared-room'), { hostId: 'p1', locked: true, waitingRoom: false });
+  });
+
+  it('does not lose concurrent telemetry uploads from different processes', async () => {
+    const [first, second] = [connect(), connect()];
+    const add = (report) => ({ uploads: (report?.uploads || 0) + 1 });
+
+    await Promise.all(Array.from({ length: 8 }, (_, i) => (i % 2 ? first : second).updateTelemetryReport('shared-room', add)));
+
+    assert.deepEqual(await first.getTelemetryReport('shared-room'), { uploads: 8 });
+  });
+
+  it('shares rate-limit buckets between processes', async () => {
+    const [first, second] = [connect(), connect()];
+    const limit = { burst: 2, perSecond: 1 / 60 };
+
+    assert.equal(await first.takeRateLimitToken('ip:9.9.9.9:room:join:failed', limit), true);
+    assert.equal(await second.takeRateLimitToken('ip:9.9.9.9:room:join:failed', limit), true);
+    assert.equal(await first.peekRateLimitToken('ip:9.9.9.9:room:join:failed', limit), false);
+    assert.equal(await second.takeRateLimitToken('ip:9.9.9.9:room:join:failed', limit), false);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTelemetryAggregator, isValidSummaryList } = require('../telemetry');
+const { createMemoryStore } = require('../state/memoryStore');
+
+describe('telemetry', () => {
+  it('only accepts a list of summary objects', async () => {
+    assert.equal(isValidSummaryList([{ rtt: 40 }]), true);
+    assert.equal(isValidSummaryList([]), true);
+    assert.equal(isValidSummaryList([null]), false);
+    assert.equal(isValidSummaryList([{ rtt: 40 }, []]), false);
+    assert.equal(isValidSummaryList({ rtt: 40 }), false);
+    assert.equal(await createTelemetryAggregator(createMemoryStore()).record('room', 'p1', [{ rtt: 40 }, null]), 0);
+  });
+
+  it('aggregates in-range values and drops the rest', async () => {
+    const telemetry = createTelemetryAggregator(createMemoryStore());
+    assert.equal(await telemetry.record('room', 'p1', [{ peerId: 'p2', rtt: 40, score: 2, candidateType: 'relay' }]), 1);
+    await telemetry.record('room', 'p2', [{ peerId: 'p1', rtt: 80, packetLoss: 500 }]);
+
+    const report = await telemetry.getRoomReport('room');
+    assert.equal(report.uploads, 2);
+    assert.deepEqual(report.participants, ['p1', 'p2']);
+    assert.deepEqual(report.metrics.rtt, { average: 60, min: 40, max: 80, count: 2 });
+    assert.equal(report.metrics.packetLoss.count, 0);
+    assert.deepEqual(report.candidateTypes, { relay: 1 });
+    assert.equal(report.lowQualityReports, 1);
+  });
+
+  it('caps the number of summaries taken from one upload', async () => {
+    const telemetry = createTelemetryAggregator(createMemoryStore());
+    assert.equal(await telemetry.record('room', 'p1', Array.from({ length: 50 }, () => ({ rtt: 10 }))), 20);
+  });
+
+  it('adds up uploads received by different server processes', async () => {
+    const store = createMemoryStore();
+    const [first, second] = [createTelemetryAggregator(store), createTelemetryAggregator(store)];
+    await first.record('room', 'p1', [{ rtt: 40 }]);
+    await second.record('room', 'p2', [{ rtt: 80 }]);
+
+    const report = await first.getRoomReport('room');
+    assert.equal(report.uploads, 2);
+    assert.deepEqual(report.metrics.rtt, { average: 60, min: 40, max: 80, count: 2 });
+  });
+
+  it('forgets the least recently reported room when full, and stale rooms on prune', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const telemetry = createTelemetryAggregator(createMemoryStore(), { maxRooms: 2, retentionMs: 1000 });
+    await telemetry.record('a', 'p1', [{ rtt: 10 }]);
+    now += 10;
+    await telemetry.record('b', 'p1', [{ rtt: 10 }]);
+    now += 10;
+    await telemetry.record('c', 'p1', [{ rtt: 10 }]);
+    assert.deepEqual((await telemetry.listRoomReports()).map(report => report.roomId).sort(), ['b', 'c']);
+
+    now += 995;
+    assert.equal(await telemetry.prune(), 1);
+    assert.deepEqual((await telemetry.listRoomReports()).map(report => report.roomId), ['c']);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload, MAX_SIGNALING_PAYLOAD_BYTES } = require('../validation');
+
+const offer = { type: 'offer', sdp: 'v=0\r\n' };
+
+describe('validatePayload', () => {
+  it('accepts well-formed payloads', () => {
+    assert.equal(validatePayload('room:join', { roomId: 'standup', capacity: 4, waitingRoom: false }), null);
+    assert.equal(validatePayload('outgoing:call', { to: 'p2', offer }), null);
+    assert.equal(validatePayload('ice:candidate', { to: 'p2', candidate: { candidate: 'candidate:1', sdpMid: '0', sdpMLineIndex: 0 } }), null);
+  });
+
+  it('accepts optional fields as undefined or null', () => {
+    assert.equal(validatePayload('ice:candidate', { to: 'p2', candidate: null }), null);
+    assert.equal(validatePayload('call:ended', {}), null);
+    assert.equal(validatePayload('ping', undefined), null);
+    assert.equal(validatePayload('invite:create', undefined), null);
+  });
+
+  it('describes the first problem it finds', () => {
+    assert.deepEqual(validatePayload('room:join', { roomId: '' }), {
+      code: 'INVALID_PAYLOAD',
+      message: 'Invalid room:join: payload.roomId must be at least 1 characters'
+    });
+    assert.equal(validatePayload('room:join', { roomId: 'r', capacity: 1.5 }).message, 'Invalid room:join: payload.capacity must be an integer');
+    assert.equal(validatePayload('room:lock', { locked: 'yes' }).message, 'Invalid room:lock: payload.locked must be a boolean');
+    assert.equal(validatePayload('user:activity', { status: 'busy' }).message, 'Invalid user:activity: payload.status must be one of active, idle, away');
+  });
+
+  it('rejects unknown keys and non-object payloads', () => {
+    assert.equal(validatePayload('room:lock', { locked: true, admin: true }).message, 'Invalid room:lock: payload.admin is not allowed');
+    assert.equal(validatePayload('room:lock', [true]).message, 'Invalid room:lock: payload must be an object');
+    assert.equal(validatePayload('room:lock', null).message, 'Invalid room:lock: payload must be an object');
+  });
+
+  it('checks nested session descriptions', () => {
+    assert.equal(
+      validatePayload('outgoing:call', { to: 'p2', offer: { type: 'answer', sdp: '' } }).message,
+      'Invalid outgoing:call: payload.offer.type must be one of offer'
+    );
+  });
+
+  it('caps payload sizes per event', () => {
+    assert.equal(validatePayload('chat:message', { text: 'x'.repeat(20 * 1024) }).code, 'PAYLOAD_TOO_LARGE');
+    // Offers get a larger cap than the 4 KB default
+    assert.equal(validatePayload('outgoing:call', { to: 'p2', offer: { type: 'offer', sdp: 'x'.repeat(50 * 1024) } }), null);
+    assert.equal(validatePayload('outgoing:call', { to: 'p2', offer: { type: 'offer', sdp: 'x'.repeat(MAX_SIGNALING_PAYLOAD_BYTES) } }).code, 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('only size-checks events without a schema', () => {
+    assert.equal(validatePayload('custom:event', { anything: true }), null);
+    assert.equal(validatePayload('custom:event', { data: 'x'.repeat(5 * 1024) }).code, 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('treats payloads that cannot be serialized as too large', () => {
+    const circular = { roomId: 'r' };
+    circular.self = circular;
+    assert.equal(validatePayload('room:join', circular).code, 'PAYLOAD_TOO_LARGE');
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { createWebhookDispatcher, signPayload } = require('../webhooks');
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Receiver answering with the queued statuses in turn (200 once they run out)
+const startReceiver = async () => {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, statuses, server };
+};
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('webhooks', () => {
+  let receiver;
+  const dispatchers = [];
+  const createDispatcher = (options = {}) => {
+    const dispatcher = createWebhookDispatcher({ urls: [receiver.url], secret: SECRET, logger: silentLogger, ...options });
+    dispatchers.push(dispatcher);
+    return dispatcher;
+  };
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(() => {
+    dispatchers.forEach(dispatcher => dispatcher.stop());
+    receiver.server.close();
+  });
+
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload(SECRET, 1700000000, '{"a":1}'), expected);
+    assert.notEqual(signPayload('other-secret', 1700000000, '{"a":1}'), expected);
+  });
+
+  it('delivers a signed event that the receiver can verify', async () => {
+    receiver.requests.length = 0;
+    const webhooks = createDispatcher();
+    webhooks.emit('room.created', { roomId: 'standup' });
+    await waitFor(() => webhooks.list({ status: 'delivered' }).length === 1);
+
+    const [{ headers, body }] = receiver.requests;
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'room.created');
+    assert.deepEqual(payload.data, { roomId: 'standup' });
+    assert.equal(headers['x-webhook-event'], 'room.created');
+    assert.equal(headers['x-webhook-id'], payload.id);
+    assert.equal(headers['x-webhook-signature'], `sha256=${signPayload(SECRET, headers['x-webhook-timestamp'], body)}`);
+  });
+
+  it('skips events that are not subscribed', () => {
+    const webhooks = createDispatcher({ events: ['call.ended'] });
+    webhooks.emit('room.created', { roomId: 'standup' });
+    assert.deepEqual(webhooks.list(), []);
+  });
+
+  it('retries server errors and keeps the event ID', async () => {
+    receiver.requests.length = 0;
+    receiver.statuses.push(500);
+    const results = [];
+    const webhooks = createDispatcher({ onResult: result => results.push(result) });
+    webhooks.emit('user.joined', { participantId: 'p1' });
+
+    await waitFor(() => results.length === 1);
+    assert.deepEqual(results, ['delivered']);
+    const [delivery] = webhooks.list();
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.lastAttempt.statusCode, 200);
+    assert.equal(receiver.requests[0].headers['x-webhook-id'], receiver.requests[1].headers['x-webhook-id']);
+  });
+
+  it('gives up on client errors without retrying', async () => {
+    receiver.statuses.push(400);
+    const results = [];
+    const webhooks = createDispatcher({ onResult: result => results.push(result) });
+    webhooks.emit('user.left', { participantId: 'p1' });
+
+    await waitFor(() => results.length === 1);
+    assert.deepEqual(results, ['failed']);
+    const [delivery] = webhooks.list({ status: 'failed' });
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastAttempt.error, 'HTTP 400');
+  });
+
+  it('shows a delivery with its payload and redelivers it', async () => {
+    const webhooks = createDispatcher();
+    webhooks.emit('call.started', { callId: 'c1' });
+    await waitFor(() => webhooks.list({ status: 'delivered' }).length === 1);
+
+    const [{ id }] = webhooks.list();
+    const delivery = webhooks.get(id);
+    assert.equal(delivery.payload.data.callId, 'c1');
+    assert.equal(webhooks.get('unknown'), null);
+
+    const redelivery = webhooks.redeliver(id);
+    assert.notEqual(redelivery.id, id);
+    assert.equal(redelivery.eventId, delivery.eventId);
+    await waitFor(() => webhooks.list({ status: 'delivered' }).length === 2);
+  });
+
+  it('caps the delivery log, newest first', async () => {
+    const webhooks = createDispatcher({ logLimit: 2 });
+    ['a', 'b', 'c'].forEach(roomId => webhooks.emit('room.deleted', { roomId }));
+    await waitFor(() => webhooks.list({ status: 'pending' }).length === 0);
+    webhooks.emit('room.deleted', { roomId: 'd' });
+    await waitFor(() => webhooks.list({ status: 'pending' }).length === 0);
+
+    const rooms = webhooks.list().map(({ id }) => webhooks.get(id).payload.data.roomId);
+    assert.deepEqual(rooms, ['d', 'c']);
+    assert.equal(webhooks.list({ limit: 1 }).length, 1);
+  });
+});
@@ -0,0 +1,146 @@
+// Payload schemas for the events clients send over the socket.
+// A schema is a function returning a description of what is wrong with a value, or null when it is fine.
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 4 * 1024;
+// Offers and answers carry a full SDP
+const MAX_SIGNALING_PAYLOAD_BYTES = 128 * 1024;
+
+const PARTICIPANT_ID_MAX_LENGTH = 64;
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const string = ({ min = 0, max } = {}) => (value, path) => {
+  if (typeof value !== 'string') return `${path} must be a string`;
+  if (value.length < min) return `${path} must be at least ${min} characters`;
+  if (value.length > max) return `${path} must be at most ${max} characters`;
+  return null;
+};
+
+const integer = ({ min, max }) => (value, path) => {
+  if (!Number.isInteger(value)) return `${path} must be an integer`;
+  if (value < min || value > max) return `${path} must be between ${min} and ${max}`;
+  return null;
+};
+
+const boolean = () => (value, path) => (typeof value === 'boolean' ? null : `${path} must be a boolean`);
+
+const oneOf = (values) => (value, path) =>
+  (values.includes(value) ? null : `${path} must be one of ${values.join(', ')}`);
+
+// Accepts undefined and null as well
+const optional = (schema) => (value, path) => (value === undefined || value === null ? null : schema(value, path));
+
+// Unknown keys are rejected so nothing unexpected gets relayed or stored
+const object = (shape) => (value, path) => {
+  if (!isPlainObject(value)) return `${path} must be an object`;
+
+  const unknown = Object.keys(value).find(key => !Object.hasOwn(shape, key));
+  if (unknown) return `${path}.${unknown} is not allowed`;
+
+  for (const [key, schema] of Object.entries(shape)) {
+    const problem = schema(value[key], `${path}.${key}`);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+const participantId = string({ min: 1, max: PARTICIPANT_ID_MAX_LENGTH });
+
+const sessionDescription = (type) => object({
+  type: oneOf([type]),
+  sdp: string({ max: 100 * 1024 })
+});
+
+// RTCIceCandidate.toJSON()
+const iceCandidate = object({
+  candidate: string({ max: 1024 }),
+  sdpMid: optional(string({ max: 64 })),
+  sdpMLineIndex: optional(integer({ min: 0, max: 1024 })),
+  usernameFragment: optional(string({ max: 256 }))
+});
+
+// Events that take no arguments may still be sent with an empty object
+const noPayload = optional(object({}));
+
+const EVENT_SCHEMAS = {
+  'profile:update': {
+    schema: object({
+      displayName: optional(string({ max: 200 })),
+      avatarUrl: optional(string({ max: 500 }))
+    })
+  },
+  'room:join': {
+    schema: object({
+      roomId: string({ min: 1, max: 100 }),
+      capacity: optional(integer({ min: 1, max: 100 })),
+      passphrase: optional(string({ max: 256 })),
+      inviteToken: optional(string({ max: 2048 })),
+      inviteOnly: optional(boolean()),
+      waitingRoom: optional(boolean())
+    })
+  },
+  'lobby:admit': { schema: object({ participantId }) },
+  'lobby:deny': { schema: object({ participantId }) },
+  'lobby:leave': { schema: noPayload },
+  'room:leave': { schema: noPayload },
+  'moderation:remove': { schema: object({ participantId }) },
+  'moderation:mute-request': {
+    schema: object({ participantId, kind: optional(oneOf(['audio', 'video'])) })
+  },
+  'room:lock': { schema: object({ locked: boolean() }) },
+  'invite:create': {
+    schema: optional(object({ ttl: optional(integer({ min: 0, max: 365 * 24 * 60 * 60 })) }))
+  },
+  'chat:message': {
+    // The handler enforces the real message length limit after trimming
+    schema: object({ text: string({ max: 8 * 1024 }) }),
+    maxBytes: 16 * 1024
+  },
+  'screen:share': { schema: object({ sharing: boolean() }) },
+  'recording:state': { schema: object({ recording: boolean() }) },
+  'outgoing:call': {
+    schema: object({ to: participantId, offer: sessionDescription('offer') }),
+    maxBytes: MAX_SIGNALING_PAYLOAD_BYTES
+  },
+  'call:accepted': {
+    schema: object({ to: participantId, answer: sessionDescription('answer') }),
+    maxBytes: MAX_SIGNALING_PAYLOAD_BYTES
+  },
+  'ice:candidate': {
+    // A null candidate marks the end of gathering
+    schema: object({ to: participantId, candidate: optional(iceCandidate) })
+  },
+  'call:declined': { schema: object({ to: participantId }) },
+  'call:ended': { schema: object({ to: optional(participantId) }) },
+  'ping': { schema: noPayload },
+  'user:activity': {
+    schema: object({ status: oneOf(['active', 'idle', 'away']) })
+  }
+};
+
+const payloadSize = (payload) => {
+  try {
+    return payload === undefined ? 0 : Buffer.byteLength(JSON.stringify(payload));
+  } catch {
+    return Infinity;
+  }
+};
+
+/**
+ * Check the payload of an incoming event against its schema and size cap.
+ * Returns null when it is acceptable, or { code, message } describing the violation.
+ * Events without a schema are only size-checked.
+ */
+const validatePayload = (event, payload) => {
+  const { schema, maxBytes = DEFAULT_MAX_PAYLOAD_BYTES } = EVENT_SCHEMAS[event] || {};
+
+  if (payloadSize(payload) > maxBytes) {
+    return { code: 'PAYLOAD_TOO_LARGE', message: `Payload for ${event} exceeds ${maxBytes} bytes` };
+  }
+
+  const problem = schema ? schema(payload, 'payload') : null;
+  return problem ? { code: 'INVALID_PAYLOAD', message: `Invalid ${event}: ${problem}` } : null;
+};
+
+module.exports = { validatePayload, MAX_SIGNALING_PAYLOAD_BYTES };
@@ -0,0 +1,173 @@
+// Outbound webhooks: room and call lifecycle events POSTed as JSON to the configured endpoints.
+// Every request is signed with HMAC-SHA256 and failed deliveries are retried with exponential backoff.
+// The delivery log is kept in process memory: each server process lists the deliveries it made.
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['room.created', 'room.deleted', 'user.joined', 'user.left', 'call.started', 'call.ended'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const RETRY_BASE_DELAY = 1000; // ms, doubled after every failed attempt
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// The signature covers "<timestamp>.<body>", so receivers can reject old requests replayed later
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Other client errors would fail the same way on every retry
+const isRetryable = (statusCode) => statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// Log entry without the payload
+const summarize = ({ body, ...delivery }) => ({ ...delivery, attempts: delivery.attempts.length, lastAttempt: delivery.attempts.at(-1) || null });
+
+/**
+ * urls: endpoints every event is sent to
+ * secret: HMAC key shared with the receivers
+ * events: event types to send (all by default)
+ * onResult(result): called when a delivery ends as 'delivered' or 'failed'
+ */
+const createWebhookDispatcher = ({
+  urls,
+  secret,
+  events = WEBHOOK_EVENTS,
+  maxAttempts = 5,
+  timeoutMs = 5000,
+  logLimit = 500,
+  logger,
+  onResult = () => {}
+}) => {
+  // Oldest first
+  const deliveries = new Map();
+  const timers = new Set();
+
+  const record = (delivery) => {
+    deliveries.set(delivery.id, delivery);
+    // Past the cap, forget the oldest finished deliveries; pending ones stay until they finish
+    for (const [id, entry] of deliveries) {
+      if (deliveries.size <= logLimit) break;
+      if (entry.status !== 'pending') deliveries.delete(id);
+    }
+  };
+
+  const finish = (delivery, status) => {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    onResult(status);
+  };
+
+  const attempt = async (delivery) => {
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000);
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'videocall-webhooks',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${statusCode}`;
+      // Only the status matters; release the connection
+      await response.body?.cancel();
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : err.message;
+    }
+
+    delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt });
+
+    if (!error) {
+      finish(delivery, 'delivered');
+      logger.debug('WEBHOOK_DELIVERED', { deliveryId: delivery.id, webhookEvent: delivery.event, url: delivery.url, statusCode });
+      return;
+    }
+
+    if (delivery.attempts.length >= maxAttempts || !isRetryable(statusCode)) {
+      finish(delivery, 'failed');
+      logger.warn('WEBHOOK_FAILED', {
+        deliveryId: delivery.id, webhookEvent: delivery.event, url: delivery.url, attempts: delivery.attempts.length, statusCode, error
+      });
+      return;
+    }
+
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** (delivery.attempts.length - 1), RETRY_MAX_DELAY);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    logger.info('WEBHOOK_RETRY_SCHEDULED', {
+      deliveryId: delivery.id, webhookEvent: delivery.event, url: delivery.url, attempts: delivery.attempts.length, delay, error
+    });
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(delivery);
+    }, delay);
+    timers.add(timer);
+  };
+
+  const deliver = ({ eventId, event, url, body }) => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      eventId,
+      event,
+      url,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      attempts: [],
+      body
+    };
+    record(delivery);
+    attempt(delivery);
+    return delivery;
+  };
+
+  return {
+    enabled: urls.length > 0,
+
+    // Queue an event for every endpoint; delivery happens in the background
+    emit(event, data) {
+      if (urls.length === 0 || !events.includes(event)) return;
+
+      const eventId = crypto.randomUUID();
+      const body = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+      urls.forEach(url => deliver({ eventId, event, url, body }));
+    },
+
+    // Newest first, optionally only those with the given status
+    list({ status, limit = 50 } = {}) {
+      return Array.from(deliveries.values())
+        .filter(delivery => !status || delivery.status === status)
+        .reverse()
+        .slice(0, limit)
+        .map(summarize);
+    },
+
+    // One delivery with its payload and every attempt
+    get(id) {
+      const delivery = deliveries.get(id);
+      if (!delivery) return null;
+      const { body, ...rest } = delivery;
+      return { ...rest, payload: JSON.parse(body) };
+    },
+
+    // Send a logged delivery again; the event keeps its ID so receivers can de-duplicate
+    redeliver(id) {
+      const delivery = deliveries.get(id);
+      return delivery ? summarize(deliver(delivery)) : null;
+    },
+
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+};
+
+module.exports = { createWebhookDispatcher, signPayload, WEBHOOK_EVENTS, DELIVERY_STATUSES };